@@ -1,4 +1,26 @@
 import { Action, Rank, calculateRankFromScore } from "../value_objects/habit_objects";
+import { MAX_HABIT_SERIES_ACTIONS, pointsForCompletion } from "../policies/HabitSeriesProgressPolicy";
+
+/**
+ * Raised when a transition moves the series to a different rank.
+ */
+export type HabitSeriesRankChanged = {
+  type: "HabitSeriesRankChanged";
+  seriesId: string;
+  from: Rank;
+  to: Rank;
+  totalScore: number;
+  occurredAt: Date;
+};
+
+export type HabitSeriesEvent = HabitSeriesRankChanged;
+
+/**
+ * Identity of an action across revisions of the content.
+ */
+function actionKey(action: Action): string {
+  return action.name.trim().toLowerCase();
+}
 
 /**
  * HabitSeries (Domain Entity)
@@ -11,6 +33,18 @@ import { Action, Rank, calculateRankFromScore } from "../value_objects/habit_obj
  * - Accumulates a totalScore over time.
  * - Derives its Rank exclusively from totalScore (rank is NOT stored).
  *
+ * Lifecycle:
+ * - Instances are immutable. addAction, completeAction and applyScore
+ *   return a NEW instance; the original is left untouched.
+ * - Score only grows, so rank only goes up.
+ * - Actions are appended (up to MAX_HABIT_SERIES_ACTIONS) and are
+ *   addressed by their position, which never changes: a revision of the
+ *   whole content (refinement or restore) may edit actions in place,
+ *   append or drop trailing ones, but never move an action.
+ * - Transitions that change the rank record a HabitSeriesRankChanged
+ *   event in `domainEvents`. Events accumulate across chained transitions
+ *   and are published by the application layer once the result is saved.
+ *
  * This entity is:
  * - Pure domain logic.
  * - Defensive by construction.
@@ -40,6 +74,9 @@ export class HabitSeries {
   /** Last activity timestamp */
   public readonly lastActivityAt: Date;
 
+  /** Events raised by the transitions that produced this instance */
+  public readonly domainEvents: readonly HabitSeriesEvent[];
+
   /**
    * Private constructor.
    *
@@ -53,7 +90,8 @@ export class HabitSeries {
     actions: readonly Action[],
     totalScore: number,
     createdAt: Date,
-    lastActivityAt: Date
+    lastActivityAt: Date,
+    domainEvents: readonly HabitSeriesEvent[] = []
   ) {
     // --- Identity validation ---
     if (typeof id !== "string") {
@@ -91,6 +129,10 @@ export class HabitSeries {
       throw new Error("HabitSeries must contain at least three actions");
     }
 
+    if (actions.length > MAX_HABIT_SERIES_ACTIONS) {
+      throw new Error(`HabitSeries cannot contain more than ${MAX_HABIT_SERIES_ACTIONS} actions`);
+    }
+
     for (const action of actions) {
       if (!(action instanceof Action)) {
         throw new Error("All HabitSeries actions must be valid Action instances");
@@ -123,6 +165,7 @@ export class HabitSeries {
     this.totalScore = totalScore;
     this.createdAt = createdAt;
     this.lastActivityAt = lastActivityAt;
+    this.domainEvents = Object.freeze([...domainEvents]);
   }
 
   /**
@@ -136,6 +179,139 @@ export class HabitSeries {
     return calculateRankFromScore(this.totalScore);
   }
 
+  /**
+   * Append an action to the series.
+   *
+   * Score and activity are unchanged: adding an action is planning,
+   * not progress.
+   *
+   * @throws Error when the series already holds MAX_HABIT_SERIES_ACTIONS actions
+   */
+  public addAction(action: Action): HabitSeries {
+    if (this.actions.length >= MAX_HABIT_SERIES_ACTIONS) {
+      throw new Error(`HabitSeries cannot contain more than ${MAX_HABIT_SERIES_ACTIONS} actions`);
+    }
+
+    return this.with({ actions: [...this.actions, action] });
+  }
+
+  /**
+   * Replace the content of the series (title, description, actions).
+   *
+   * Used when a series is refined or an earlier version is restored.
+   * Identity, score and activity are kept: progress belongs to the series,
+   * not to one version of its content.
+   *
+   * Completions are logged by position, so an action present before and
+   * after the revision (same name) must keep its position.
+   *
+   * @throws Error when the revision moves an existing action
+   */
+  public revise(content: {
+    title: string;
+    description: string;
+    actions: readonly Action[];
+  }): HabitSeries {
+    const positions = new Map(this.actions.map((action, index): [string, number] => [actionKey(action), index]));
+
+    content.actions.forEach((action, index) => {
+      const previous = positions.get(actionKey(action));
+      if (previous !== undefined && previous !== index) {
+        throw new Error(`HabitSeries revision cannot move action "${action.name}" from position ${previous} to ${index}`);
+      }
+    });
+
+    return new HabitSeries(
+      this.id,
+      content.title,
+      content.description,
+      content.actions,
+      this.totalScore,
+      this.createdAt,
+      this.lastActivityAt,
+      this.domainEvents
+    );
+  }
+
+  /**
+   * Record one completion of an action.
+   *
+   * The points awarded depend on the action difficulty
+   * (HabitSeriesProgressPolicy).
+   *
+   * @param actionId - Position of the action in the series (0-based)
+   * @param at - When the action was completed
+   * @throws Error when the action does not exist or the date is invalid
+   */
+  public completeAction(actionId: number | string, at: Date = new Date()): HabitSeries {
+    const action = /^\d+$/.test(String(actionId)) ? this.actions[Number(actionId)] : undefined;
+
+    if (!action) {
+      throw new Error(`HabitSeries has no action "${actionId}"`);
+    }
+
+    return this.applyScore(pointsForCompletion(action), at);
+  }
+
+  /**
+   * Add points to the series.
+   *
+   * Score is monotonic: only positive integer amounts are accepted.
+   * A completion logged late never moves lastActivityAt backwards.
+   *
+   * @throws Error when points are not a positive integer, or `at` is
+   *         not a valid date on or after the series creation
+   */
+  public applyScore(points: number, at: Date = new Date()): HabitSeries {
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new Error("HabitSeries score can only increase by a positive integer amount");
+    }
+
+    if (!(at instanceof Date) || Number.isNaN(at.getTime())) {
+      throw new Error("HabitSeries activity date must be a valid Date");
+    }
+
+    if (at < this.createdAt) {
+      throw new Error("HabitSeries activity cannot predate the series creation");
+    }
+
+    const totalScore = this.totalScore + points;
+    const from = this.getRank();
+    const to = calculateRankFromScore(totalScore);
+
+    const events: HabitSeriesEvent[] = from === to
+      ? []
+      : [{ type: "HabitSeriesRankChanged", seriesId: this.id, from, to, totalScore, occurredAt: at }];
+
+    return this.with({
+      totalScore,
+      lastActivityAt: at > this.lastActivityAt ? at : this.lastActivityAt,
+      events
+    });
+  }
+
+  /**
+   * Copy of this series with some state replaced and new events appended.
+   * Goes through the constructor, so every invariant is checked again.
+   */
+  private with(changes: {
+    actions?: readonly Action[];
+    totalScore?: number;
+    lastActivityAt?: Date;
+    events?: readonly HabitSeriesEvent[];
+  }): HabitSeries {
+    return new HabitSeries(
+      this.id,
+      this.title,
+      this.description,
+      changes.actions ?? this.actions,
+      changes.totalScore ?? this.totalScore,
+      this.createdAt,
+      changes.lastActivityAt ?? this.lastActivityAt,
+      [...this.domainEvents, ...(changes.events ?? [])]
+    );
+  }
+
   /**
    * Factory method for creating a new HabitSeries.
    *
@@ -163,6 +339,38 @@ export class HabitSeries {
       params.lastActivityAt ?? now
     );
   }
+
+  /**
+   * Factory method for a series produced by the AI pipeline.
+   *
+   * The output has already passed the habit series contract; each action
+   * still goes through the Action value object, so the domain rules are
+   * checked on top of the schema. Stored records and version snapshots
+   * share this shape and are rebuilt through the same factory.
+   *
+   * @param output - { title, description, actions: [{ name, description, difficulty }] }
+   * @param id - Identity of the series, assigned by the caller (the domain
+   *             does not generate ids)
+   */
+  public static fromAIOutput(
+    output: {
+      title: string;
+      description: string;
+      actions: ReadonlyArray<{ name: string; description: string; difficulty: string }>;
+    },
+    id: string
+  ): HabitSeries {
+    return HabitSeries.create({
+      id,
+      title: output.title,
+      description: output.description,
+      actions: output.actions.map(action => Action.create({
+        name: action.name,
+        description: action.description,
+        difficulty: action.difficulty
+      }))
+    });
+  }
 }
 
 export default HabitSeries;
@@ -0,0 +1,46 @@
+/**
+ * ContentSafetyPolicy (Domain)
+ *
+ * PURPOSE
+ * -------
+ * Declares what a generated habit series must never recommend, and what
+ * happens when the AI output does.
+ *
+ * Habit series are wellbeing advice. A series that passes the structural
+ * contract can still be harmful, so the generated text is moderated
+ * before a HabitSeries is ever created.
+ *
+ * IMPORTANT
+ * ---------
+ * - Pure data, no side effects.
+ * - HOW content is classified (rules, a provider moderation endpoint...)
+ *   is an application concern; this file only names the categories and
+ *   the reaction to a violation.
+ */
+
+export const ContentSafetyCategory = {
+  /** Prolonged fasting, dry fasting, severe calorie restriction */
+  EXTREME_FASTING: 'extreme_fasting',
+  /** Self-harm, self-punishment, purging */
+  SELF_HARM: 'self_harm',
+  /** Drug doses, or advice to start, stop or replace medication */
+  MEDICAL_DOSAGE: 'medical_dosage'
+} as const;
+
+export type ContentSafetyAction = 'reject' | 'regenerate' | 'redact';
+
+/**
+ * Reaction to flagged output.
+ *
+ * - onViolation:
+ *     'reject'     → the generation fails, nothing is persisted
+ *     'regenerate' → the model rewrites the flagged parts, then the output
+ *                    is moderated again (rejected if still flagged)
+ *     'redact'     → flagged actions are removed; rejected when the title or
+ *                    description is flagged, or too few actions remain
+ * - maxRegenerations: rewrite attempts allowed with 'regenerate'.
+ */
+export const CONTENT_SAFETY_POLICY = {
+  onViolation: 'regenerate' as ContentSafetyAction,
+  maxRegenerations: 1
+};
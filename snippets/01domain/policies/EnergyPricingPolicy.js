@@ -0,0 +1,130 @@
+/**
+ * EnergyPricingPolicy (Domain)
+ *
+ * PURPOSE
+ * -------
+ * Declarative pricing table translating AI token usage into internal
+ * energy units, for every provider and every AI pass.
+ *
+ * Energy formula:
+ * ---------------
+ *   weighted = promptTokens × inputWeight + completionTokens × outputWeight
+ *   energy   = ceil(weighted × passMultiplier / divisor)
+ *   energy   = max(energy, minimumCharge)
+ *
+ * The historical Gemini formula (response + prompt × 0.30, / 100) is kept
+ * as the gemini-2.5-flash and default entries, so existing charges for the
+ * creative pass remain comparable.
+ *
+ * IMPORTANT
+ * ---------
+ * - Pure data and pure functions, no side effects.
+ * - Adapters compute energy through calculateEnergy(); they never
+ *   hardcode weights.
+ * - Values below are the public defaults of this case study, not the
+ *   commercial pricing of the real system.
+ */
+
+export type ModelPricing = {
+  /** Weight applied to prompt (input) tokens */
+  inputWeight: number;
+  /** Weight applied to completion (output) tokens */
+  outputWeight: number;
+  /** Minimum energy charged for any successful call */
+  minimumCharge: number;
+};
+
+export const ENERGY_PRICING = {
+  /** Weighted tokens per energy unit */
+  divisor: 100,
+
+  /**
+   * Per-model pricing.
+   * Keys are exact model names or family prefixes ending with '*'.
+   * Exact names win over prefixes; longer prefixes win over shorter ones.
+   */
+  models: {
+    'gemini-2.5-pro': { inputWeight: 0.30, outputWeight: 1.5, minimumCharge: 1 },
+    'gemini-2.5-flash': { inputWeight: 0.30, outputWeight: 1.0, minimumCharge: 1 },
+    'gemini-*': { inputWeight: 0.30, outputWeight: 1.0, minimumCharge: 1 },
+    'gpt-4o-mini': { inputWeight: 0.10, outputWeight: 0.40, minimumCharge: 1 },
+    'gpt-4o': { inputWeight: 0.30, outputWeight: 1.2, minimumCharge: 1 },
+    'gpt-*': { inputWeight: 0.30, outputWeight: 1.2, minimumCharge: 1 },
+    'o1-*': { inputWeight: 1.0, outputWeight: 4.0, minimumCharge: 2 }
+  } as Record<string, ModelPricing>,
+
+  /** Pricing for models without an entry (e.g. newly registered providers) */
+  defaultModel: { inputWeight: 0.30, outputWeight: 1.0, minimumCharge: 1 } as ModelPricing,
+
+  /**
+   * Per-pass multipliers.
+   * Normalization is a mechanical transformation and is discounted;
+   * passes without an entry use 1.
+   */
+  passMultipliers: {
+    habit_series_creative: 1.0,
+    habit_series_structure: 1.0,
+    json_conversion: 0.5
+  } as Record<string, number>
+};
+
+/**
+ * Resolve the pricing entry applicable to a model.
+ *
+ * @param model - Concrete model name
+ * @returns Pricing entry (never undefined)
+ */
+export function getModelPricing(model: string): ModelPricing {
+  const { models, defaultModel } = ENERGY_PRICING;
+
+  if (models[model]) return models[model];
+
+  const prefix = Object.keys(models)
+    .filter(key => key.endsWith('*') && model.startsWith(key.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? models[prefix] : defaultModel;
+}
+
+/**
+ * Compute the energy charged for an AI call.
+ *
+ * @param params.model - Model that answered
+ * @param params.functionType - AI pass (optional; multiplier 1 if absent)
+ * @param params.promptTokens - Input tokens
+ * @param params.completionTokens - Output tokens
+ * @returns Energy units (integer, >= minimumCharge)
+ */
+export function calculateEnergy(params: {
+  model: string;
+  functionType?: string;
+  promptTokens: number;
+  completionTokens: number;
+}): number {
+  const pricing = getModelPricing(params.model);
+  const multiplier = ENERGY_PRICING.passMultipliers[params.functionType ?? ''] ?? 1;
+
+  const weighted =
+    params.promptTokens * pricing.inputWeight +
+    params.completionTokens * pricing.outputWeight;
+
+  const energy = Math.ceil((weighted * multiplier) / ENERGY_PRICING.divisor);
+
+  return Math.max(energy, pricing.minimumCharge);
+}
+
+export type EnergyRefundMode = 'full' | 'unused';
+
+/**
+ * Energy reservation rules for multi-pass generations.
+ *
+ * - estimateMargin: multiplier applied to the pre-call estimate, so that
+ *   repair calls and longer-than-expected prompts stay within the hold.
+ * - refundOnFailure: what is returned when the pipeline fails before
+ *   delivering a result. 'full' returns everything (the user never pays
+ *   for a series they did not get); 'unused' charges the calls already made.
+ */
+export const ENERGY_RESERVATION_POLICY = {
+  estimateMargin: 1.2,
+  refundOnFailure: 'full' as EnergyRefundMode
+};
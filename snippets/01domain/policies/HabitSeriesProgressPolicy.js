@@ -0,0 +1,53 @@
+/**
+ * HabitSeriesProgressPolicy (Domain)
+ *
+ * PURPOSE
+ * -------
+ * Declares how a habit series grows and scores once it exists:
+ * how many actions it may hold and how many points a completed action
+ * is worth.
+ *
+ * Business rationale:
+ * -------------------
+ * - Score is only ever added (never subtracted), so the rank derived from
+ *   it can only go up. Progress a user has earned is never taken away.
+ * - Harder actions are worth more, so ranking up rewards effort rather
+ *   than repetition of the easiest action.
+ * - The action list grows, but is capped: a series is a focused theme,
+ *   not an unbounded to-do list.
+ *
+ * IMPORTANT
+ * ---------
+ * - Pure data and pure functions, no side effects.
+ * - Rank thresholds live with the Rank value object
+ *   (calculateRankFromScore); this file only decides points.
+ */
+
+/**
+ * Maximum number of actions a series may hold (generated + added).
+ */
+export const MAX_HABIT_SERIES_ACTIONS = 10;
+
+/**
+ * Points awarded for one completion, by action difficulty.
+ */
+export const ACTION_COMPLETION_POINTS = {
+  low: 10,
+  medium: 20,
+  high: 35
+} as Record<string, number>;
+
+/**
+ * Points for difficulties without an entry.
+ */
+export const DEFAULT_COMPLETION_POINTS = 10;
+
+/**
+ * Points awarded for completing an action once.
+ *
+ * @param action - Any action exposing its difficulty
+ * @returns Positive integer
+ */
+export function pointsForCompletion(action: { difficulty?: unknown }): number {
+  return ACTION_COMPLETION_POINTS[String(action.difficulty)] ?? DEFAULT_COMPLETION_POINTS;
+}
@@ -46,10 +46,19 @@
  * Only the **structural pass** represents a final artifact that is safe
  * and meaningful to persist.
  *
- * @param functionType - AI function identifier
+ * Previews (drafts) are explicitly requested by the client to inspect
+ * intermediate output. They are exploratory by definition and are never
+ * final, regardless of the last pass executed.
+ *
+ * @param functionType - Last semantic pass executed (AI function identifier)
+ * @param options.preview - Whether the generation was requested as a preview
  * @returns true if the series must be persisted, false otherwise
  */
-export function isHabitSeriesFinal(functionType: string): boolean {
+export function isHabitSeriesFinal(
+  functionType: string,
+  options: { preview?: boolean } = {}
+): boolean {
+  if (options.preview) return false;
   return functionType === 'habit_series_structure';
 }
 
@@ -58,6 +67,19 @@ export function isHabitSeriesFinal(functionType: string): boolean {
  * ============================================================================
  */
 
+/**
+ * Retry policy shared by the habit series passes.
+ *
+ * Applies to transient provider failures only (rate limits, 5xx, timeouts).
+ * Each attempt on a model is retried with exponential backoff and jitter
+ * before moving on to the next model in the pass fallback list.
+ */
+export const HABIT_SERIES_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+} as const;
+
 /**
  * This is a **restricted and intentionally incomplete** subset of the internal
  * AI model selection policy.
@@ -66,6 +88,11 @@ export function isHabitSeriesFinal(functionType: string): boolean {
  * are exposed.
  *
  * The real system contains additional mappings and rules that are NOT public.
+ *
+ * Each pass declares an ordered `fallbacks` list. When the primary model
+ * keeps failing, the router walks the list in order and records which model
+ * actually answered. The pass options (temperature, maxTokens, forceJson)
+ * are preserved across fallbacks, so the pass intent does not change.
  */
 export const HABIT_SERIES_AI_POLICIES = {
   /**
@@ -84,6 +111,8 @@ export const HABIT_SERIES_AI_POLICIES = {
     model: 'gemini-2.5-flash',
     temperature: 0.8,
     maxTokens: 1500,
+    fallbacks: ['gemini-2.5-pro', 'gpt-4o'],
+    retry: HABIT_SERIES_RETRY_POLICY,
     description: 'Habit series creative exploration pass'
   },
 
@@ -102,9 +131,31 @@ export const HABIT_SERIES_AI_POLICIES = {
     model: 'gemini-2.5-pro',
     temperature: 0.0,
     maxTokens: 1500,
+    fallbacks: ['gemini-2.5-flash', 'gpt-4o'],
+    retry: HABIT_SERIES_RETRY_POLICY,
     description: 'Habit series structural consolidation pass'
   },
 
+  /**
+   * Refinement pass for an existing habit series.
+   *
+   * Purpose:
+   * - Revise a persisted series from a user request
+   * - Keep what the request does not ask to change
+   *
+   * Characteristics:
+   * - Moderate temperature: edits must stay close to the current version
+   * - Output is normalized by the JSON pass, like a new series
+   */
+  habit_series_refine: {
+    model: 'gemini-2.5-pro',
+    temperature: 0.4,
+    maxTokens: 1800,
+    fallbacks: ['gemini-2.5-flash', 'gpt-4o'],
+    retry: HABIT_SERIES_RETRY_POLICY,
+    description: 'Habit series refinement pass'
+  },
+
   /**
    * JSON normalization pass.
    *
@@ -120,6 +171,8 @@ export const HABIT_SERIES_AI_POLICIES = {
     temperature: 0.0,
     maxTokens: 1500,
     forceJson: true,
+    fallbacks: ['gpt-4o'],
+    retry: HABIT_SERIES_RETRY_POLICY,
     description: 'Strict text-to-JSON normalization pass'
   }
 } as const;
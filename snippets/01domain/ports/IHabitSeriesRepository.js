@@ -0,0 +1,198 @@
+/**
+ * IHabitSeriesRepository (Domain Port)
+ *
+ * Persistence contract for habit series, implemented by infrastructure
+ * adapters (in-memory, SQLite...). Use cases depend on this port only.
+ *
+ * Ownership:
+ * - Every operation is scoped to a user. A series owned by another user
+ *   behaves exactly like a missing one (null / false / not listed).
+ *
+ * Changes:
+ * - An existing series is only changed through update(): the current
+ *   state is read, the change applied and the new state, activity entry
+ *   and versions written in ONE transaction. Concurrent changes are
+ *   applied one after the other, each on fresh state, so none is lost
+ *   and a series is never saved without its activity or version.
+ *
+ * Soft delete:
+ * - softDelete() hides a series from every read; the row is kept.
+ *
+ * Active series counter:
+ * - Each user has a counter of active (non-deleted) series.
+ * - createFromAI() writes the series AND increments the counter in ONE
+ *   transaction; softDelete() hides the series AND decrements it in one
+ *   transaction. A crash can never leave the counter out of step with
+ *   the series.
+ * - The counter used to be kept by the user store
+ *   (userRepository.incrementActiveSeries(), a separate write after the
+ *   insert). It moved here so it can share the series transaction: the
+ *   user store value is no longer written, read countActiveSeries()
+ *   instead. Adapters backfill the counter of existing users from their
+ *   non-deleted series, so the move needs no data copy.
+ *
+ * History:
+ * - Activity entries (completions) and content versions are append-only.
+ *
+ * Entities in, entities out: adapters map to and from their storage
+ * format; callers never see rows or documents.
+ *
+ * Failures the caller can act on are raised as HabitSeriesRepositoryError.
+ */
+
+/**
+ * Error raised by adapters for an operation the store cannot honour.
+ */
+export class HabitSeriesRepositoryError extends Error {
+  /**
+   * @param {'INVALID_CURSOR'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(`${code}: ${message}`);
+    this.name = 'HabitSeriesRepositoryError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {Object} PersistedHabitSeries
+ * @property {string} id
+ * @property {import('../entities/HabitSeries').HabitSeries} series
+ * @property {Function} toDTO - () => public JSON representation
+ */
+
+/**
+ * @typedef {Object} HabitSeriesPage
+ * @property {Array<import('../entities/HabitSeries').HabitSeries>} items - Newest first
+ * @property {string|null} nextCursor - Opaque cursor of the next page, null on the last page
+ */
+
+/**
+ * @typedef {Object} HabitSeriesActivityEntry
+ * @property {number} actionId - Position of the completed action
+ * @property {string} actionName
+ * @property {number} points
+ * @property {string} at - ISO date
+ */
+
+/**
+ * @typedef {Object} HabitSeriesVersion
+ * @property {number} version - 1, 2, 3... per series
+ * @property {string} source - 'generated' | 'refined' | 'restored'
+ * @property {string} [instruction] - User request of a refinement
+ * @property {number} [restoredFrom] - Version a restore copied
+ * @property {Object} [promptVersions] - Prompt versions that produced the content
+ * @property {Object} content - { title, description, actions }
+ * @property {string} createdAt - ISO date
+ */
+
+export class IHabitSeriesRepository {
+  /**
+   * Persist a series generated by AI and increment the user's active
+   * series counter, atomically.
+   *
+   * @param {string} userId
+   * @param {HabitSeries} series
+   * @param {Object} [meta] - { promptVersions }
+   * @returns {Promise<PersistedHabitSeries>}
+   */
+  async createFromAI(userId, series, meta) {
+    throw new Error('NOT_IMPLEMENTED: createFromAI');
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} seriesId
+   * @returns {Promise<HabitSeries|null>}
+   */
+  async findById(userId, seriesId) {
+    throw new Error('NOT_IMPLEMENTED: findById');
+  }
+
+  /**
+   * Series of a user, newest first, with cursor pagination.
+   *
+   * @param {string} userId
+   * @param {Object} [options] - { limit = 20 (max 100), cursor }
+   * @returns {Promise<HabitSeriesPage>}
+   * @throws {HabitSeriesRepositoryError} INVALID_CURSOR when the cursor was not issued by this store
+   */
+  async listByUser(userId, options) {
+    throw new Error('NOT_IMPLEMENTED: listByUser');
+  }
+
+  /**
+   * Change an existing series atomically (content, score, activity, versions).
+   *
+   * `change` runs inside the transaction on the current state. It must be
+   * synchronous; throwing aborts the update and nothing is written.
+   *
+   * @param {string} userId
+   * @param {string} seriesId
+   * @param {Function} change - (series, { latestVersion }) => { series, activity?, versions? }
+   *   latestVersion: number of the latest content version, 0 when there is none
+   *   series: new state
+   *   activity: HabitSeriesActivityEntry to append
+   *   versions: records to append in order (HabitSeriesVersion without version / createdAt)
+   * @returns {Promise<Object|null>} { series, versions: Array<HabitSeriesVersion> },
+   *   or null if the series is not found
+   */
+  async update(userId, seriesId, change) {
+    throw new Error('NOT_IMPLEMENTED: update');
+  }
+
+  /**
+   * Hide a series and decrement the user's active series counter, atomically.
+   *
+   * @param {string} userId
+   * @param {string} seriesId
+   * @returns {Promise<boolean>} false when there was nothing to delete
+   */
+  async softDelete(userId, seriesId) {
+    throw new Error('NOT_IMPLEMENTED: softDelete');
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countActiveSeries(userId) {
+    throw new Error('NOT_IMPLEMENTED: countActiveSeries');
+  }
+
+  /**
+   * Most recent activity entries first.
+   *
+   * @param {string} userId
+   * @param {string} seriesId
+   * @param {Object} [options] - { limit = 20 }
+   * @returns {Promise<Array<HabitSeriesActivityEntry>>}
+   */
+  async listActivity(userId, seriesId, options) {
+    throw new Error('NOT_IMPLEMENTED: listActivity');
+  }
+
+  /**
+   * Versions of a series, oldest first.
+   *
+   * @param {string} userId
+   * @param {string} seriesId
+   * @returns {Promise<Array<HabitSeriesVersion>>}
+   */
+  async listVersions(userId, seriesId) {
+    throw new Error('NOT_IMPLEMENTED: listVersions');
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} seriesId
+   * @param {number} version
+   * @returns {Promise<HabitSeriesVersion|null>}
+   */
+  async getVersion(userId, seriesId, version) {
+    throw new Error('NOT_IMPLEMENTED: getVersion');
+  }
+}
+
+export default IHabitSeriesRepository;
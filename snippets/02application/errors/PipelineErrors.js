@@ -0,0 +1,185 @@
+/**
+ * Pipeline Errors (Application Layer)
+ *
+ * Typed failures of the habit series pipeline, so that callers can tell a
+ * provider outage from a rejected payload or an AI output that broke the
+ * contract without parsing messages.
+ *
+ * Every error carries:
+ * - code: stable, machine-readable identifier (also the message prefix)
+ * - retryable: whether the same request may succeed if sent again later
+ * - pass: AI pass (functionType) that failed, when known
+ * - model: model involved in the failure, when known
+ *
+ * Transport concerns (HTTP status, headers) are NOT decided here: the
+ * HTTP adapter maps codes to responses (see http/errorResponses.js).
+ */
+
+export class PipelineError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable]
+   * @param {string} [options.pass]
+   * @param {string} [options.model]
+   * @param {Array<Object>} [options.details] - Structured causes ({ path, keyword, message })
+   * @param {Error} [options.cause]
+   */
+  constructor(code, message, { retryable = false, pass = null, model = null, details, cause } = {}) {
+    super(`${code}: ${message}`, cause ? { cause } : undefined);
+    this.name = 'PipelineError';
+    this.code = code;
+    this.retryable = retryable;
+    this.pass = pass;
+    this.model = model;
+    if (details) this.details = details;
+  }
+
+  /**
+   * Client-safe representation (job results, SSE events, logs).
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      pass: this.pass,
+      model: this.model,
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+/**
+ * The provider could not serve the call: outage, 5xx, timeout, or every
+ * model of the fallback chain unavailable (open circuits included).
+ */
+export class ProviderUnavailableError extends PipelineError {
+  constructor(message, options = {}) {
+    super('PROVIDER_UNAVAILABLE', message, { ...options, retryable: true });
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+/**
+ * The provider throttled the call (HTTP 429, quota exhausted).
+ */
+export class ProviderRateLimitedError extends PipelineError {
+  /**
+   * @param {string} message
+   * @param {Object} [options] - PipelineError options plus { retryAfterSeconds }
+   */
+  constructor(message, { retryAfterSeconds = null, ...options } = {}) {
+    super('PROVIDER_RATE_LIMITED', message, { ...options, retryable: true });
+    this.name = 'ProviderRateLimitedError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfterSeconds: this.retryAfterSeconds };
+  }
+}
+
+/**
+ * The provider refused the call for a reason a retry will not fix
+ * (authentication, invalid request, content filtered upstream).
+ */
+export class ProviderRequestRejectedError extends PipelineError {
+  constructor(message, options = {}) {
+    super('PROVIDER_REQUEST_REJECTED', message, { ...options, retryable: false });
+    this.name = 'ProviderRequestRejectedError';
+  }
+}
+
+/**
+ * No provider is configured for the requested model (or none was named).
+ * A deployment problem, not a client one.
+ */
+export class ModelNotSupportedError extends PipelineError {
+  constructor(message, options = {}) {
+    super('MODEL_NOT_SUPPORTED', message, { ...options, retryable: false });
+    this.name = 'ModelNotSupportedError';
+  }
+}
+
+/**
+ * AI output that could not be brought within the contract after every
+ * repair the pipeline allows.
+ *
+ * violation:
+ * - 'parse': not JSON
+ * - 'schema': JSON that does not satisfy the schema
+ * - 'language': written in another language than requested
+ * - 'safety': flagged content that survived the content safety policy
+ *
+ * Models are probabilistic, so a new run may succeed: retryable.
+ */
+export class AIContractViolationError extends PipelineError {
+  /**
+   * @param {string} message
+   * @param {Object} options - PipelineError options plus { violation, attempts }
+   */
+  constructor(message, { violation, attempts, ...options }) {
+    super('AI_CONTRACT_VIOLATION', message, { ...options, retryable: true });
+    this.name = 'AIContractViolationError';
+    this.violation = violation;
+    if (attempts) this.attempts = attempts;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), violation: this.violation };
+  }
+}
+
+/**
+ * The user balance cannot cover the reservation or the charge.
+ */
+export class InsufficientEnergyError extends PipelineError {
+  /**
+   * @param {Object} amounts
+   * @param {number} amounts.required
+   * @param {number} amounts.available
+   */
+  constructor({ required, available }, options = {}) {
+    super('INSUFFICIENT_ENERGY', `Required ${required}, available ${available}`, { ...options, retryable: false });
+    this.name = 'InsufficientEnergyError';
+    this.required = required;
+    this.available = available;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), required: this.required, available: this.available };
+  }
+}
+
+/**
+ * The series content changed (another refinement or a restore) while a
+ * refinement was running on the previous content. Nothing is saved; a
+ * new refinement starts from the current content.
+ */
+export class SeriesRevisionConflictError extends PipelineError {
+  /**
+   * @param {Object} versions
+   * @param {number} versions.expected - Latest version the refinement started from
+   * @param {number} versions.actual - Latest version when saving
+   */
+  constructor({ expected, actual }, options = {}) {
+    super('SERIES_REVISION_CONFLICT', `Series changed while refining (version ${expected} → ${actual})`, {
+      ...options,
+      retryable: true
+    });
+    this.name = 'SeriesRevisionConflictError';
+  }
+}
+
+export default {
+  PipelineError,
+  ProviderUnavailableError,
+  ProviderRateLimitedError,
+  ProviderRequestRejectedError,
+  ModelNotSupportedError,
+  AIContractViolationError,
+  InsufficientEnergyError,
+  SeriesRevisionConflictError
+};
@@ -0,0 +1,121 @@
+/**
+ * Locales (Application Layer)
+ *
+ * Single source of truth for the languages a habit series can be
+ * generated in, and for how a requested locale maps to prompt templates.
+ *
+ * Two different things are resolved from a locale:
+ * - the OUTPUT language: always the requested one (never silently replaced)
+ * - the TEMPLATE locale: the language the prompt instructions are written
+ *   in, resolved through a fallback chain (e.g. pt-BR → pt → en) among the
+ *   templates that actually exist
+ *
+ * A locale is supported when its exact tag or its base language is listed
+ * below; anything else is rejected at payload validation.
+ */
+
+/**
+ * Supported locales.
+ * `name` is the English name used inside English prompt templates.
+ */
+export const SUPPORTED_LOCALES = Object.freeze({
+  en: { name: 'English' },
+  es: { name: 'Spanish' },
+  pt: { name: 'Portuguese' },
+  'pt-BR': { name: 'Brazilian Portuguese' },
+  fr: { name: 'French' },
+  de: { name: 'German' },
+  it: { name: 'Italian' },
+});
+
+/**
+ * Last element of every fallback chain.
+ */
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_TAG_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Canonical form of a locale tag: 'PT_br' → 'pt-BR', 'EN' → 'en'.
+ *
+ * @param {string} locale
+ * @returns {string|null} null when the tag is malformed
+ */
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string') return null;
+
+  const [language, region, ...rest] = locale.trim().replace('_', '-').split('-');
+  if (rest.length > 0) return null;
+
+  const tag = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  return LOCALE_TAG_PATTERN.test(tag) ? tag : null;
+}
+
+/**
+ * Base language of a locale tag: 'pt-BR' → 'pt'.
+ *
+ * @param {string} locale - Normalized tag
+ * @returns {string}
+ */
+export function baseLanguage(locale) {
+  return locale.split('-')[0];
+}
+
+/**
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export function isSupportedLocale(locale) {
+  const tag = normalizeLocale(locale);
+  return tag !== null && (tag in SUPPORTED_LOCALES || baseLanguage(tag) in SUPPORTED_LOCALES);
+}
+
+/**
+ * Fallback chain of a locale, most specific first, always ending in the
+ * default locale: 'pt-BR' → ['pt-BR', 'pt', 'en'].
+ *
+ * @param {string} locale
+ * @returns {Array<string>}
+ */
+export function localeFallbackChain(locale) {
+  const tag = normalizeLocale(locale) ?? DEFAULT_LOCALE;
+  return [...new Set([tag, baseLanguage(tag), DEFAULT_LOCALE])];
+}
+
+/**
+ * Pick the first locale of the fallback chain that has a template.
+ *
+ * @param {string} locale
+ * @param {Object<string, *>} templates - Templates keyed by locale
+ * @returns {string}
+ * @throws {Error} when not even the default locale has a template
+ */
+export function resolveTemplateLocale(locale, templates) {
+  const match = localeFallbackChain(locale).find(tag => tag in templates);
+  if (!match) {
+    throw new Error(`TEMPLATE_NOT_FOUND: No template for "${locale}" or its fallbacks`);
+  }
+  return match;
+}
+
+/**
+ * English name of a supported locale (exact tag first, then base language).
+ *
+ * @param {string} locale
+ * @returns {string}
+ */
+export function localeName(locale) {
+  const tag = normalizeLocale(locale);
+  return (SUPPORTED_LOCALES[tag] ?? SUPPORTED_LOCALES[baseLanguage(tag)]).name;
+}
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  baseLanguage,
+  isSupportedLocale,
+  localeFallbackChain,
+  resolveTemplateLocale,
+  localeName,
+};
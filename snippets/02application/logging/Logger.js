@@ -0,0 +1,124 @@
+/**
+ * Logger Port + JSON Implementation (Application Layer)
+ *
+ * Every layer logs through an injected logger instead of console.log,
+ * so one request can be followed across the use case, the router and
+ * the provider adapters.
+ *
+ * Port:
+ * - debug | info | warn | error (event, fields?) → void
+ * - child(bindings) → Logger   (bindings are added to every record)
+ *
+ * Records are written as one JSON object per line:
+ *
+ *   { "time": "...", "level": "info", "event": "ai.call.completed",
+ *     "requestId": "...", "userId": "...", "functionType": "...",
+ *     "model": "...", "latencyMs": 812, "tokens": { ... } }
+ *
+ * Conventions:
+ * - `event` is a stable dotted name (searchable); free text goes in fields
+ * - Correlation fields (requestId, userId, jobId) are bound once with
+ *   child() at the boundary, never repeated by callers
+ * - Error objects passed as `error` are reduced to { name, message, code, status }
+ */
+
+export const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+});
+
+/**
+ * Default sink: stdout for debug/info, stderr for warn/error.
+ *
+ * @param {string} line
+ * @param {string} level
+ */
+function consoleSink(line, level) {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.retryable !== undefined && { retryable: error.retryable }),
+    ...(error.pass && { pass: error.pass }),
+    ...(error.model && { model: error.model }),
+  };
+}
+
+/**
+ * Create a JSON logger.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level (default: LOG_LEVEL env var or 'info')
+ * @param {Function} [options.sink] - (line, level) => void (default: console)
+ * @param {Object} [options.bindings] - Fields added to every record
+ * @param {Function} [options.now] - Injectable clock (tests)
+ * @returns {Object} Logger
+ */
+export function createLogger({
+  level = process.env.LOG_LEVEL ?? 'info',
+  sink = consoleSink,
+  bindings = {},
+  now = () => new Date(),
+} = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`INVALID_LOG_LEVEL: Unknown level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  const threshold = LOG_LEVELS[level];
+
+  const write = (recordLevel, event, fields = {}) => {
+    if (LOG_LEVELS[recordLevel] < threshold) return;
+
+    const record = {
+      time: now().toISOString(),
+      level: recordLevel,
+      event,
+      ...bindings,
+      ...fields,
+    };
+    if ('error' in record) record.error = serializeError(record.error);
+
+    try {
+      sink(JSON.stringify(record), recordLevel);
+    } catch {
+      // Logging must never break the request it describes
+    }
+  };
+
+  return {
+    level,
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+    child: (extra = {}) => createLogger({ level, sink, bindings: { ...bindings, ...extra }, now }),
+  };
+}
+
+/**
+ * Logger discarding every record (tests, benchmarks).
+ */
+export const noopLogger = Object.freeze({
+  level: 'error',
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+  child() { return noopLogger; },
+});
+
+/**
+ * Process-wide logger used when none is injected.
+ */
+export const defaultLogger = createLogger();
+
+export default { createLogger, noopLogger, defaultLogger, LOG_LEVELS };
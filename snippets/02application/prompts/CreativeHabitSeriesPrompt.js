@@ -1,4 +1,5 @@
 import { Difficulty } from '../../../domain/value_objects/habit_objects/Difficulty.ts';
+import { resolveTemplateLocale, localeName } from '../../localization/Locales.js';
 
 /**
  * FIRST PASS — Creative Semantic Generation
@@ -19,52 +20,27 @@ import { Difficulty } from '../../../domain/value_objects/habit_objects/Difficul
  *
  * Difficulty values are sourced directly from the domain
  * to prevent drift between AI output and business rules.
+ *
+ * LOCALIZATION
+ * Instructions exist as per-locale templates. The template is chosen
+ * through the locale fallback chain (e.g. pt-BR → pt → en), but the
+ * OUTPUT language is always the requested locale: a locale without its
+ * own template gets the English instructions asking for that language.
  */
 
 /**
- * @param {Object} params
- * @param {string} params.language - 'en' | 'es'
- * @param {string} params.assistantContext - Serialized assistant context (optional)
- * @param {Record<string, string>} params.testData - User test responses
+ * System prompt templates keyed by locale.
  *
- * @returns {Array<{role: string, content: string}>}
- * A message array to be consumed by the AI adapter.
+ * Each template enforces:
+ * - language determinism
+ * - output boundaries
+ * - formatting limits
+ * - explicit exclusion of JSON or structural guarantees
  *
- * NOTE:
- * The output of this prompt is intentionally unstructured text.
- * It will be parsed, validated, and normalized in subsequent steps.
+ * Creativity is allowed ONLY inside predefined constraints.
  */
-function CreativeHabitSeriesPrompt({
-  language,
-  assistantContext,
-  testData
-}) {
-  const lowDifficulty = Difficulty.LOW;
-  const mediumDifficulty = Difficulty.MEDIUM;
-  const highDifficulty = Difficulty.HIGH;
-
-  /**
-   * Optional contextual background.
-   * This context is provided strictly as reference material
-   * and must not be replied to or echoed by the model.
-   */
-  const contextSection = assistantContext?.trim()
-    ? `\n\n---\nBACKGROUND CONTEXT (for reference only, do not reply to this):\n${assistantContext}\n---\n`
-    : '';
-
-  /**
-   * SYSTEM PROMPT
-   *
-   * Enforces:
-   * - language determinism
-   * - output boundaries
-   * - formatting limits
-   * - explicit exclusion of JSON or structural guarantees
-   *
-   * Creativity is allowed ONLY inside predefined constraints.
-   */
-  const systemPrompt = language === 'en'
-    ? `LANGUAGE CONSTRAINT (MANDATORY): You MUST generate ALL content in ENGLISH. This is non-negotiable.
+const SYSTEM_TEMPLATES = {
+  en: ({ languageName, contextSection, lowDifficulty, mediumDifficulty, highDifficulty }) => `LANGUAGE CONSTRAINT (MANDATORY): You MUST generate ALL content in ${languageName}. This is non-negotiable.
 
 You are Arvi. Create ONE complete thematic habit series based on the user's test responses.
 ${contextSection}
@@ -89,8 +65,9 @@ The series must:
 
 Your output must be a clean, structured description, but NOT JSON.
 Just produce the text, respecting the limits.
-ALL OUTPUT MUST BE IN ENGLISH.`
-    : `RESTRICCIÓN DE IDIOMA (OBLIGATORIO): DEBES generar TODO el contenido en ESPAÑOL. Esto es innegociable.
+ALL OUTPUT MUST BE IN ${languageName}.`,
+
+  es: ({ contextSection, lowDifficulty, mediumDifficulty, highDifficulty }) => `RESTRICCIÓN DE IDIOMA (OBLIGATORIO): DEBES generar TODO el contenido en ESPAÑOL. Esto es innegociable.
 
 Eres Arvi. Crea UNA serie temática de hábitos completa.
 ${contextSection}
@@ -115,7 +92,57 @@ La serie debe:
 
 Tu salida debe ser texto limpio, estructurado y limitado.
 NO es JSON aún.
-TODO EL CONTENIDO DEBE ESTAR EN ESPAÑOL.`;
+TODO EL CONTENIDO DEBE ESTAR EN ESPAÑOL.`,
+};
+
+/**
+ * Label introducing the raw test data, keyed by locale.
+ */
+const TEST_DATA_LABELS = {
+  en: 'Test data',
+  es: 'Datos del test',
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.language - Supported locale (e.g. 'en', 'es', 'pt-BR'), validated upstream
+ * @param {string} params.assistantContext - Serialized assistant context (optional)
+ * @param {Record<string, string>} params.testData - User test responses
+ *
+ * @returns {Array<{role: string, content: string}>}
+ * A message array to be consumed by the AI adapter.
+ *
+ * NOTE:
+ * The output of this prompt is intentionally unstructured text.
+ * It will be parsed, validated, and normalized in subsequent steps.
+ */
+function CreativeHabitSeriesPrompt({
+  language,
+  assistantContext,
+  testData
+}) {
+  const lowDifficulty = Difficulty.LOW;
+  const mediumDifficulty = Difficulty.MEDIUM;
+  const highDifficulty = Difficulty.HIGH;
+
+  /**
+   * Optional contextual background.
+   * This context is provided strictly as reference material
+   * and must not be replied to or echoed by the model.
+   */
+  const contextSection = assistantContext?.trim()
+    ? `\n\n---\nBACKGROUND CONTEXT (for reference only, do not reply to this):\n${assistantContext}\n---\n`
+    : '';
+
+  const templateLocale = resolveTemplateLocale(language, SYSTEM_TEMPLATES);
+
+  const systemPrompt = SYSTEM_TEMPLATES[templateLocale]({
+    languageName: localeName(language).toUpperCase(),
+    contextSection,
+    lowDifficulty,
+    mediumDifficulty,
+    highDifficulty
+  });
 
   /**
    * USER PROMPT
@@ -123,9 +150,7 @@ TODO EL CONTENIDO DEBE ESTAR EN ESPAÑOL.`;
    * Raw test data is flattened and passed as input context.
    * No interpretation or validation occurs at this stage.
    */
-  const userPrompt = language === 'en'
-    ? `Test data: ${Object.entries(testData).map(([k, v]) => `${k}: ${v}`).join("; ")}`
-    : `Datos del test: ${Object.entries(testData).map(([k, v]) => `${k}: ${v}`).join("; ")}`;
+  const userPrompt = `${TEST_DATA_LABELS[templateLocale]}: ${Object.entries(testData).map(([k, v]) => `${k}: ${v}`).join("; ")}`;
 
   return [
     {
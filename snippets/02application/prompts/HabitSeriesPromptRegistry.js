@@ -0,0 +1,111 @@
+/**
+ * Habit Series Prompt Registry (Application Layer)
+ *
+ * Registers every prompt used by the habit series pipeline under its
+ * prompt key and version. The current prompts are version 'v1'.
+ *
+ * To try a prompt change safely:
+ * 1. Add the new builder as 'v2' of the same key (never edit 'v1' in place)
+ * 2. Start an experiment splitting users between 'v1' and 'v2'
+ * 3. Compare outcomes per version: every log record of a run carries
+ *    `promptVersions`, and persisted series record them too
+ * 4. Promote the winner with setDefault() and stop the experiment
+ *
+ * Example:
+ *   habitSeriesPromptRegistry
+ *     .register(HabitSeriesPromptKey.CREATIVE, { version: 'v2', build: CreativeHabitSeriesPromptV2 })
+ *     .startExperiment(HabitSeriesPromptKey.CREATIVE, {
+ *       id: 'creative-progression-2026-11',
+ *       variants: [{ version: 'v1', weight: 50 }, { version: 'v2', weight: 50 }]
+ *     });
+ */
+
+import { PromptRegistry } from '../PromptRegistry.js';
+import CreativeHabitSeriesPrompt from './CreativeHabitSeriesPrompt.js';
+import StructureHabitSeriesPrompt from './StructureHabitSeriesPrompt.js';
+import JsonSchemaHabitSeriesPrompt from './JsonSchemaHabitSeriesPrompt.js';
+import JsonRepairHabitSeriesPrompt from './JsonRepairHabitSeriesPrompt.js';
+import SafetyRewriteHabitSeriesPrompt from './SafetyRewriteHabitSeriesPrompt.js';
+import RefineHabitSeriesPrompt from './RefineHabitSeriesPrompt.js';
+
+/**
+ * Prompt keys of the habit series pipeline.
+ * AI passes use their functionType; the repair and safety rewrite prompts
+ * have their own keys because they run under the json_conversion pass.
+ */
+export const HabitSeriesPromptKey = Object.freeze({
+  CREATIVE: 'habit_series_creative',
+  STRUCTURE: 'habit_series_structure',
+  JSON_CONVERSION: 'json_conversion',
+  JSON_REPAIR: 'json_repair',
+  SAFETY_REWRITE: 'safety_rewrite',
+  REFINE: 'habit_series_refine',
+});
+
+/**
+ * Build the registry with the baseline prompts.
+ *
+ * @returns {PromptRegistry}
+ */
+export function createHabitSeriesPromptRegistry() {
+  return new PromptRegistry()
+    .register(HabitSeriesPromptKey.CREATIVE, {
+      version: 'v1',
+      build: CreativeHabitSeriesPrompt,
+      description: 'Baseline creative generation prompt',
+    })
+    .register(HabitSeriesPromptKey.STRUCTURE, {
+      version: 'v1',
+      build: StructureHabitSeriesPrompt,
+      description: 'Baseline structuring prompt',
+    })
+    .register(HabitSeriesPromptKey.JSON_CONVERSION, {
+      version: 'v1',
+      build: JsonSchemaHabitSeriesPrompt,
+      description: 'Schema-guided normalization prompt',
+    })
+    .register(HabitSeriesPromptKey.JSON_REPAIR, {
+      version: 'v1',
+      build: JsonRepairHabitSeriesPrompt,
+      description: 'Contract repair prompt',
+    })
+    .register(HabitSeriesPromptKey.SAFETY_REWRITE, {
+      version: 'v1',
+      build: SafetyRewriteHabitSeriesPrompt,
+      description: 'Rewrite of content flagged by moderation',
+    })
+    .register(HabitSeriesPromptKey.REFINE, {
+      version: 'v1',
+      build: RefineHabitSeriesPrompt,
+      description: 'Revision of an existing series from a user request',
+    });
+}
+
+/**
+ * Process-wide registry used when none is injected.
+ */
+export const habitSeriesPromptRegistry = createHabitSeriesPromptRegistry();
+
+/**
+ * Resolve the prompt served for every key of the pipeline, for one user.
+ *
+ * Resolved once per run so that all passes (and all log records) of the
+ * run agree on the versions in use.
+ *
+ * @param {PromptRegistry} registry
+ * @param {string} userId
+ * @returns {{ prompts: Object<string, Object>, promptVersions: Object<string, string> }}
+ */
+export function resolveHabitSeriesPrompts(registry, userId) {
+  const prompts = Object.fromEntries(
+    Object.values(HabitSeriesPromptKey).map(key => [key, registry.resolve(key, userId)])
+  );
+
+  const promptVersions = Object.fromEntries(
+    Object.entries(prompts).map(([key, { version }]) => [key, version])
+  );
+
+  return { prompts, promptVersions };
+}
+
+export default habitSeriesPromptRegistry;
@@ -0,0 +1,80 @@
+/**
+ * REPAIR PASS — JSON Contract Correction
+ *
+ * This prompt is used ONLY when the JSON normalization pass produced
+ * output that could not be parsed or did not satisfy the schema,
+ * and local (deterministic) repair was not enough.
+ *
+ * It gives the model:
+ * - the exact broken output
+ * - the exact list of violations found by the backend validator
+ * - the schema the output must satisfy
+ *
+ * It deliberately forbids:
+ * - adding new content or ideas
+ * - changing the meaning of existing fields
+ * - any text outside the JSON document
+ *
+ * The repaired output is validated again by the use case.
+ * The model is never trusted to declare its own output valid.
+ */
+
+/**
+ * @param {Object} params
+ * @param {string} params.brokenOutput - Raw output of the previous attempt
+ * @param {Array<string>} params.errors - Violations reported by the validator
+ * @param {Object} params.schema - Schema the output must satisfy
+ *
+ * @returns {Array<{role: string, content: string}>}
+ * A message array to be consumed by the AI adapter.
+ */
+function JsonRepairHabitSeriesPrompt({
+  brokenOutput,
+  errors,
+  schema
+}) {
+  /**
+   * SYSTEM PROMPT
+   *
+   * Restricts the model to a correction task:
+   * fix the listed problems, keep everything else unchanged.
+   */
+  const systemPrompt = `You are a strict JSON repair tool.
+
+You receive a JSON document that FAILED validation and the list of errors found.
+Return the corrected document.
+
+RULES (MANDATORY):
+- Output ONLY the JSON document. No markdown, no code fences, no comments, no explanations.
+- Fix EVERY listed error.
+- Keep all valid content exactly as it is. Do NOT rewrite, translate or summarize it.
+- Do NOT invent new ideas. If a required value is missing, derive it only from the existing content.
+- The result MUST satisfy this JSON Schema:
+
+${JSON.stringify(schema, null, 2)}`;
+
+  /**
+   * USER PROMPT
+   *
+   * Errors are listed one per line, using JSON pointers,
+   * so the model can locate each violation precisely.
+   */
+  const userPrompt = `VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+DOCUMENT TO REPAIR:
+${brokenOutput}`;
+
+  return [
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ];
+}
+
+export default JsonRepairHabitSeriesPrompt;
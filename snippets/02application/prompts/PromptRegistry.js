@@ -0,0 +1,197 @@
+/**
+ * Prompt Registry (Application Layer)
+ *
+ * Holds every prompt builder keyed by prompt key (usually the AI
+ * functionType) and version, so prompt changes ship as NEW versions
+ * instead of edits to the only template in use.
+ *
+ * Each key has:
+ * - one or more versions: { version, build, description }
+ * - a default version, served when no experiment is running
+ * - optionally one experiment: weighted variants over registered versions
+ *
+ * Variant assignment is deterministic:
+ *   bucket = sha256(experimentId + ':' + userId) mapped to [0, 1)
+ * A user always gets the same variant for a given experiment, across
+ * requests and instances, and a new experiment id reshuffles users.
+ *
+ * Prompt builders remain plain functions (params → messages). The registry
+ * only decides WHICH builder runs; it never alters the messages.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Deterministic position of a user in [0, 1) for an experiment.
+ *
+ * @param {string} experimentId
+ * @param {string} userId
+ * @returns {number}
+ */
+export function assignmentBucket(experimentId, userId) {
+  const digest = createHash('sha256').update(`${experimentId}:${userId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+export class PromptRegistry {
+  constructor() {
+    /** @type {Map<string, { versions: Map<string, Object>, defaultVersion: string|null, experiment: Object|null }>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a prompt version.
+   *
+   * @param {string} key - Prompt key (e.g. 'habit_series_creative')
+   * @param {Object} definition
+   * @param {string} definition.version - e.g. 'v1'
+   * @param {Function} definition.build - (params) => messages
+   * @param {string} [definition.description]
+   * @param {boolean} [definition.isDefault] - Serve this version outside experiments
+   * @returns {PromptRegistry}
+   */
+  register(key, { version, build, description = '', isDefault = false }) {
+    if (!key || !version || typeof build !== 'function') {
+      throw new Error('INVALID_PROMPT: A prompt requires a key, a version and a build function');
+    }
+
+    const entry = this.#entry(key, true);
+
+    if (entry.versions.has(version)) {
+      throw new Error(`PROMPT_VERSION_EXISTS: "${key}" version "${version}" is already registered`);
+    }
+
+    entry.versions.set(version, { key, version, build, description });
+
+    // The first registered version is the default until told otherwise
+    if (isDefault || entry.defaultVersion === null) {
+      entry.defaultVersion = version;
+    }
+
+    return this;
+  }
+
+  /**
+   * Change the version served outside experiments.
+   *
+   * @param {string} key
+   * @param {string} version
+   * @returns {PromptRegistry}
+   */
+  setDefault(key, version) {
+    this.#version(key, version);
+    this.#entry(key).defaultVersion = version;
+    return this;
+  }
+
+  /**
+   * Start an A/B experiment on a prompt key (replaces any running one).
+   *
+   * @param {string} key
+   * @param {Object} experiment
+   * @param {string} experiment.id - Stable experiment identifier
+   * @param {Array<{ version: string, weight: number }>} experiment.variants
+   * @returns {PromptRegistry}
+   */
+  startExperiment(key, { id, variants }) {
+    if (!id || !Array.isArray(variants) || variants.length < 2) {
+      throw new Error('INVALID_EXPERIMENT: An experiment requires an id and at least two variants');
+    }
+
+    for (const { version, weight } of variants) {
+      this.#version(key, version);
+      if (!(weight > 0)) {
+        throw new Error(`INVALID_EXPERIMENT: Variant "${version}" must have a positive weight`);
+      }
+    }
+
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    let cumulative = 0;
+
+    this.#entry(key).experiment = {
+      id,
+      variants: variants.map(({ version, weight }) => {
+        cumulative += weight / total;
+        return { version, weight, upperBound: cumulative };
+      }),
+    };
+
+    return this;
+  }
+
+  /**
+   * Stop the experiment running on a prompt key, if any.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  stopExperiment(key) {
+    const entry = this.#entry(key);
+    const running = entry.experiment !== null;
+    entry.experiment = null;
+    return running;
+  }
+
+  /**
+   * Resolve the prompt version served to a user.
+   *
+   * @param {string} key
+   * @param {string} userId
+   * @returns {{ key: string, version: string, experimentId: string|null, build: Function }}
+   */
+  resolve(key, userId) {
+    const entry = this.#entry(key);
+    let version = entry.defaultVersion;
+    let experimentId = null;
+
+    if (entry.experiment) {
+      const bucket = assignmentBucket(entry.experiment.id, userId);
+      const variants = entry.experiment.variants;
+      version = (variants.find(v => bucket < v.upperBound) ?? variants[variants.length - 1]).version;
+      experimentId = entry.experiment.id;
+    }
+
+    const { build } = entry.versions.get(version);
+    return { key, version, experimentId, build };
+  }
+
+  /**
+   * Registered versions and running experiment of a key (ops / admin views).
+   *
+   * @param {string} key
+   * @returns {{ versions: Array<Object>, defaultVersion: string, experiment: Object|null }}
+   */
+  describe(key) {
+    const entry = this.#entry(key);
+    return {
+      versions: [...entry.versions.values()].map(({ version, description }) => ({ version, description })),
+      defaultVersion: entry.defaultVersion,
+      experiment: entry.experiment && {
+        id: entry.experiment.id,
+        variants: entry.experiment.variants.map(({ version, weight }) => ({ version, weight })),
+      },
+    };
+  }
+
+  #entry(key, create = false) {
+    let entry = this.entries.get(key);
+    if (!entry && create) {
+      entry = { versions: new Map(), defaultVersion: null, experiment: null };
+      this.entries.set(key, entry);
+    }
+    if (!entry) {
+      throw new Error(`PROMPT_NOT_FOUND: No prompt registered for "${key}"`);
+    }
+    return entry;
+  }
+
+  #version(key, version) {
+    const definition = this.#entry(key).versions.get(version);
+    if (!definition) {
+      throw new Error(`PROMPT_VERSION_NOT_FOUND: "${key}" has no version "${version}"`);
+    }
+    return definition;
+  }
+}
+
+export default PromptRegistry;
@@ -0,0 +1,90 @@
+/**
+ * SAFETY PASS — Rewrite of Flagged Content
+ *
+ * This prompt is used ONLY when a valid habit series was flagged by the
+ * content moderator and the safety policy asks for regeneration.
+ *
+ * It gives the model:
+ * - the flagged JSON document
+ * - the exact fields that were flagged, with the safety category
+ * - the schema the output must still satisfy
+ *
+ * It deliberately forbids:
+ * - touching fields that were not flagged
+ * - keeping any fasting, self-harm or medication/dosage advice
+ * - any text outside the JSON document
+ *
+ * The rewritten output goes through the contract, the language check and
+ * the moderator again. The model is never trusted to declare it safe.
+ */
+
+/**
+ * Plain-language description of each safety category, for the model.
+ */
+const CATEGORY_GUIDANCE = {
+  extreme_fasting: 'prolonged or extreme fasting, or severe calorie restriction',
+  self_harm: 'self-harm, self-punishment or purging',
+  medical_dosage: 'drug or supplement doses, or advice to start, stop or change medication'
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.document - Flagged output, as JSON
+ * @param {Array<{ path: string, category: string }>} params.flags - Moderator findings
+ * @param {Object} params.schema - Schema the output must satisfy
+ *
+ * @returns {Array<{role: string, content: string}>}
+ * A message array to be consumed by the AI adapter.
+ */
+function SafetyRewriteHabitSeriesPrompt({
+  document,
+  flags,
+  schema
+}) {
+  /**
+   * SYSTEM PROMPT
+   *
+   * Restricts the model to a targeted rewrite:
+   * replace unsafe advice with a safe equivalent, keep everything else.
+   */
+  const systemPrompt = `You are a careful editor of wellbeing content.
+
+You receive a habit series as JSON and the list of fields that contain UNSAFE advice.
+Return the corrected document.
+
+RULES (MANDATORY):
+- Output ONLY the JSON document. No markdown, no code fences, no comments, no explanations.
+- Rewrite EVERY listed field so it keeps the same goal with safe, gentle, non-medical advice.
+- Never recommend fasting beyond an overnight fast, calorie targets, self-punishment,
+  medication changes or doses of any drug or supplement.
+- Keep every field that is NOT listed exactly as it is.
+- Keep the language of the document. Do NOT translate it.
+- The result MUST satisfy this JSON Schema:
+
+${JSON.stringify(schema, null, 2)}`;
+
+  /**
+   * USER PROMPT
+   *
+   * Flags are listed one per line, using JSON pointers,
+   * so the model can locate each unsafe field precisely.
+   */
+  const userPrompt = `UNSAFE FIELDS:
+${flags.map(f => `- ${f.path}: ${CATEGORY_GUIDANCE[f.category] ?? f.category}`).join('\n')}
+
+DOCUMENT TO CORRECT:
+${document}`;
+
+  return [
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ];
+}
+
+export default SafetyRewriteHabitSeriesPrompt;
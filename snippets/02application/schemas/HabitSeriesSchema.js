@@ -0,0 +1,69 @@
+/**
+ * Habit Series AI Output Contract (Application Layer)
+ *
+ * Single source of truth for the structure the AI must produce.
+ *
+ * The same schema object is used for two purposes:
+ * - Guidance: it is embedded in the JSON normalization prompt
+ * - Enforcement: it is validated at runtime against the parsed AI output
+ *
+ * Keeping both in one definition prevents the prompt and the validator
+ * from drifting apart (e.g. difficulty values are taken from the domain
+ * Difficulty value object, exactly like the creative prompt does).
+ */
+
+import { Difficulty } from '../../domain/value_objects/habit_objects/Difficulty.ts';
+import { validateSchema } from '../validation/validateSchema.js';
+import { MAX_HABIT_SERIES_ACTIONS } from '../../domain/policies/HabitSeriesProgressPolicy.js';
+
+/**
+ * Rejects whitespace-only strings.
+ */
+const NON_BLANK = '\\S';
+
+export const HABIT_SERIES_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description', 'actions'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 120, pattern: NON_BLANK },
+    description: { type: 'string', minLength: 1, maxLength: 1500, pattern: NON_BLANK },
+    actions: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'difficulty'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100, pattern: NON_BLANK },
+          description: { type: 'string', minLength: 1, maxLength: 600, pattern: NON_BLANK },
+          difficulty: { type: 'string', enum: Object.values(Difficulty) }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Contract for a refined series: identical, except that an existing series
+ * may grow beyond the generation limit, up to the domain action cap.
+ */
+export const HABIT_SERIES_REFINEMENT_SCHEMA = {
+  ...HABIT_SERIES_SCHEMA,
+  properties: {
+    ...HABIT_SERIES_SCHEMA.properties,
+    actions: { ...HABIT_SERIES_SCHEMA.properties.actions, maxItems: MAX_HABIT_SERIES_ACTIONS }
+  }
+};
+
+/**
+ * Runtime contract for the habit series AI output.
+ *
+ * @param {*} data - Parsed AI output
+ * @returns {{ valid: boolean, errors: Array<{ path: string, keyword: string, message: string }> }}
+ */
+export function validateAIOutput(data) {
+  return validateSchema(data, HABIT_SERIES_SCHEMA);
+}
+
+export default { HABIT_SERIES_SCHEMA, HABIT_SERIES_REFINEMENT_SCHEMA, validateAIOutput };
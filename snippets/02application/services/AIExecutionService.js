@@ -0,0 +1,107 @@
+/**
+ * AI Execution Service (Application Layer)
+ *
+ * Executes a single AI call through the IAIProvider port and accounts
+ * for the energy it consumed.
+ *
+ * Energy accounting modes:
+ * - Direct: the consumed energy is deducted from the user balance
+ *   immediately (energyRepository.consume)
+ * - Reserved: when the caller holds an energy reservation, consumption is
+ *   recorded against it (energyRepository.recordUsage) and the balance is
+ *   only adjusted when the reservation is settled or refunded
+ *
+ * Every call is logged as `ai.pass.completed` with the pass, the model that
+ * answered, latency, token usage, energy and whether the response came
+ * from the provider response cache (cached responses consume no energy). The pass logger is forwarded
+ * to the provider (options.logger) so router and adapter records share
+ * the same correlation fields.
+ *
+ * Each call runs inside a span named after the pass (functionType), tagged
+ * with the requested model, temperature, token usage and energy.
+ *
+ * Typed pipeline errors (see PipelineErrors.js) leaving this service are
+ * tagged with the pass and requested model when the provider did not set them.
+ *
+ * This service performs no orchestration: which calls happen, and in
+ * which order, is decided by the use case.
+ */
+
+import { defaultLogger } from '../logging/Logger.js';
+import { withSpan, responseAttributes, SpanAttributes } from '../tracing/Tracing.js';
+import { PipelineError } from '../errors/PipelineErrors.js';
+
+/**
+ * @param {string} userId
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @param {Object} config - Model configuration for the pass (model, temperature, maxTokens, ...)
+ * @param {Object} deps
+ * @param {Object} deps.aiProvider - IAIProvider implementation
+ * @param {Object} deps.energyRepository - Energy repository port
+ * @param {Object} [deps.energyReservation] - Active reservation ({ id }) to charge against
+ * @param {Object} [deps.logger] - Logger port
+ * @returns {Promise<Object>} Provider response ({ content, model, tokensUsed, energyConsumed, ... })
+ */
+export async function generateAIResponse(userId, messages, config, deps) {
+  const spanAttributes = {
+    [SpanAttributes.FUNCTION_TYPE]: config.functionType,
+    [SpanAttributes.REQUEST_MODEL]: config.model,
+    [SpanAttributes.TEMPERATURE]: config.temperature,
+    [SpanAttributes.MAX_TOKENS]: config.maxTokens
+  };
+
+  return withSpan(config.functionType ?? 'ai.call', spanAttributes, async (span) => {
+    let response;
+    try {
+      response = await executeAICall(userId, messages, config, deps);
+    } catch (error) {
+      // Typed failures report the pass (and model) they happened in
+      if (error instanceof PipelineError) {
+        error.pass ??= config.functionType ?? null;
+        error.model ??= config.model ?? null;
+      }
+      throw error;
+    }
+
+    span.setAttributes({
+      ...responseAttributes(response),
+      [SpanAttributes.ATTEMPTS]: response.attempts?.length ?? 1,
+      [SpanAttributes.CACHE_HIT]: response.cached === true
+    });
+    return response;
+  });
+}
+
+async function executeAICall(userId, messages, config, deps) {
+  const { aiProvider, energyRepository, energyReservation } = deps;
+  const logger = (deps.logger ?? defaultLogger).child({ functionType: config.functionType });
+
+  const startedAt = Date.now();
+  const response = await aiProvider.callAI(userId, messages, { ...config, logger });
+  const latencyMs = Date.now() - startedAt;
+
+  const energy = response.cached ? 0 : response.energyConsumed ?? 0;
+  const reason = `AI_CALL_${response.model}`;
+
+  if (energy > 0) {
+    if (energyReservation) {
+      await energyRepository.recordUsage(energyReservation.id, energy, reason);
+    } else {
+      await energyRepository.consume(userId, energy, reason);
+    }
+  }
+
+  logger.info('ai.pass.completed', {
+    model: response.model,
+    requestedModel: response.requestedModel ?? config.model,
+    latencyMs,
+    tokens: response.usage ?? { completionTokens: response.tokensUsed },
+    energy,
+    cached: response.cached === true,
+    attempts: response.attempts?.length ?? 1
+  });
+
+  return response;
+}
+
+export default { generateAIResponse };
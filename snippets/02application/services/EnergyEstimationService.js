@@ -0,0 +1,102 @@
+/**
+ * Energy Estimation Service (Application Layer)
+ *
+ * Estimates the energy a habit series generation may consume BEFORE any
+ * AI call is made. The estimate is used to reserve energy up front.
+ *
+ * Only the creative prompt is known in advance; later passes consume the
+ * output of the previous one. Their prompt size is therefore bounded by
+ * the previous pass maxTokens plus a fixed template overhead.
+ *
+ * The estimate is an upper bound on purpose (plus the reservation policy
+ * margin): reservations are settled against the actual consumption, so
+ * over-reserving is always refunded, while an overage is only charged
+ * within the balance left. To stay an upper bound it assumes the worst case:
+ * - every pass is priced at the most expensive model of its fallback chain,
+ *   since any of them may be the one that answers
+ * - every follow-up call the caller allows (JSON repairs, safety rewrites)
+ *   is made; each one reads at most the previous pass output and writes a
+ *   full pass output
+ */
+
+import { getModelConfig } from '../../domain/policies/ModelSelectionPolicy.js';
+import { calculateEnergy, ENERGY_RESERVATION_POLICY } from '../../domain/policies/EnergyPricingPolicy.js';
+
+/**
+ * Approximate size (tokens) of the fixed instructions of the structure
+ * and normalization prompts, excluding their variable input.
+ */
+const PROMPT_TEMPLATE_OVERHEAD_TOKENS = 600;
+
+/**
+ * Energy of one call of a pass, priced at the most expensive model that
+ * may answer it (primary model or any fallback).
+ *
+ * @returns {{ model: string, energy: number }}
+ */
+function worstCaseCallEnergy({ model, fallbacks = [] }, functionType, promptTokens, completionTokens) {
+  return [model, ...fallbacks]
+    .map(candidate => ({
+      model: candidate,
+      energy: calculateEnergy({ model: candidate, functionType, promptTokens, completionTokens })
+    }))
+    .reduce((worst, call) => (call.energy > worst.energy ? call : worst));
+}
+
+/**
+ * @param {Array<Object>} creativeMessages - Messages of pass 1
+ * @param {Object} params
+ * @param {Array<string>} params.functionTypes - Passes that will run, in order
+ * @param {Object} params.aiProvider - Used for local prompt tokenization, if supported
+ * @param {Object<string, number>} [params.followUpCalls] - Extra calls each pass may need
+ *   at most (e.g. { json_conversion: 3 } for 2 repairs and 1 safety rewrite)
+ * @returns {Promise<{ amount: number, breakdown: Array<Object> }>}
+ */
+export async function estimatePipelineEnergy(creativeMessages, { functionTypes, aiProvider, followUpCalls = {} }) {
+  const breakdown = [];
+  let previousMaxTokens = null;
+
+  for (const functionType of functionTypes) {
+    const config = getModelConfig(functionType);
+    const { maxTokens } = config;
+
+    let promptTokens;
+    if (previousMaxTokens === null) {
+      const estimate = await aiProvider.estimateEnergy?.(creativeMessages, functionType);
+      promptTokens = estimate?.promptTokens
+        ?? Math.round(creativeMessages.map(m => m.content).join('\n\n').length / 3.7);
+    } else {
+      promptTokens = previousMaxTokens + PROMPT_TEMPLATE_OVERHEAD_TOKENS;
+    }
+
+    const { model, energy } = worstCaseCallEnergy(config, functionType, promptTokens, maxTokens);
+    breakdown.push({ functionType, model, promptTokens, completionTokens: maxTokens, energy });
+
+    // Follow-ups (repairs, rewrites) resend at most this pass output
+    const extraCalls = followUpCalls[functionType] ?? 0;
+    if (extraCalls > 0) {
+      const followUpPromptTokens = maxTokens + PROMPT_TEMPLATE_OVERHEAD_TOKENS;
+      const followUp = worstCaseCallEnergy(config, functionType, followUpPromptTokens, maxTokens);
+      breakdown.push({
+        functionType,
+        model: followUp.model,
+        followUp: true,
+        calls: extraCalls,
+        promptTokens: followUpPromptTokens,
+        completionTokens: maxTokens,
+        energy: followUp.energy * extraCalls
+      });
+    }
+
+    previousMaxTokens = maxTokens;
+  }
+
+  const total = breakdown.reduce((sum, pass) => sum + pass.energy, 0);
+
+  return {
+    amount: Math.ceil(total * ENERGY_RESERVATION_POLICY.estimateMargin),
+    breakdown
+  };
+}
+
+export default { estimatePipelineEnergy };
@@ -0,0 +1,139 @@
+/**
+ * Idempotency Service (Application Layer)
+ *
+ * Guarantees that a client retry carrying the same `Idempotency-Key`
+ * does not execute a costly, side-effecting operation twice
+ * (AI passes, energy charges, persistence, active series counter).
+ *
+ * Rules:
+ * - Keys are scoped per user and per operation
+ * - Each key is bound to a fingerprint of the request payload
+ * - Same key + same payload, finished   → the original result is replayed
+ * - Same key + same payload, running    → an in-progress status is returned
+ * - Same key + different payload        → rejected (IDEMPOTENCY_KEY_MISMATCH)
+ * - If the operation fails, the key is released so the client can retry
+ * - Store full of running requests → rejected, retryable (IDEMPOTENCY_STORE_FULL);
+ *   the operation is not run without its key being held
+ *
+ * Storage is provided through an idempotency store port
+ * (see InMemoryIdempotencyStore for the interface).
+ */
+
+import { createHash } from 'node:crypto';
+import { defaultLogger } from '../logging/Logger.js';
+
+export const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9._:-]{1,255}$/;
+
+/**
+ * Error raised when an idempotency key cannot be honoured.
+ */
+export class IdempotencyError extends Error {
+  /**
+   * @param {'IDEMPOTENCY_KEY_INVALID'|'IDEMPOTENCY_KEY_MISMATCH'|'IDEMPOTENCY_STORE_FULL'} code
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable] - Whether the same request may succeed later
+   */
+  constructor(code, message, { retryable = false } = {}) {
+    super(`${code}: ${message}`);
+    this.name = 'IdempotencyError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Serialize a value with sorted object keys so that semantically equal
+ * payloads always produce the same fingerprint.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * @param {*} payload
+ * @returns {string} sha256 hex digest
+ */
+export function fingerprintPayload(payload) {
+  return createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+/**
+ * Run an operation at most once per idempotency key.
+ *
+ * @param {Object} params
+ * @param {Object} params.store - Idempotency store
+ * @param {string} params.scope - Operation name (e.g. 'habit_series.create')
+ * @param {string} params.userId
+ * @param {string} params.key - Client-provided idempotency key
+ * @param {*} params.payload - Request payload to fingerprint
+ * @param {Object} [params.logger] - Logger port (default: process-wide JSON logger)
+ * @param {Function} operation - async () => result
+ * @returns {Promise<{ status: 'completed'|'in_progress', result: *, replayed: boolean }>}
+ */
+export async function runIdempotent({ store, scope, userId, key, payload, logger = defaultLogger }, operation) {
+  if (typeof key !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new IdempotencyError(
+      'IDEMPOTENCY_KEY_INVALID',
+      'Idempotency-Key must be 1-255 characters of [A-Za-z0-9._:-]'
+    );
+  }
+
+  const storeKey = `${scope}:${userId}:${key}`;
+  const fingerprint = fingerprintPayload(payload);
+
+  const claim = await store.begin(storeKey, fingerprint);
+
+  if (claim.state === 'mismatch') {
+    throw new IdempotencyError(
+      'IDEMPOTENCY_KEY_MISMATCH',
+      `Idempotency-Key "${key}" was already used with a different request payload`
+    );
+  }
+
+  if (claim.state === 'full') {
+    logger.warn('idempotency.store_full', { scope, key });
+    throw new IdempotencyError(
+      'IDEMPOTENCY_STORE_FULL',
+      'Too many requests are running; retry later',
+      { retryable: true }
+    );
+  }
+
+  if (claim.state === 'in_progress') {
+    logger.info('idempotency.in_progress', { scope, key });
+    return { status: 'in_progress', result: null, replayed: true };
+  }
+
+  if (claim.state === 'completed') {
+    logger.info('idempotency.replayed', { scope, key });
+    return { status: 'completed', result: claim.result, replayed: true };
+  }
+
+  // claim.state === 'acquired': this request owns the key until its lock expires.
+  // The owner token keeps it from completing or releasing a lock taken over since.
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    await store.release(storeKey, claim.token);
+    throw error;
+  }
+
+  if (!(await store.complete(storeKey, claim.token, result))) {
+    // The lock expired and was taken over: the result is returned but not stored
+    logger.warn('idempotency.lock_lost', { scope, key });
+  }
+  return { status: 'completed', result, replayed: false };
+}
+
+export default { runIdempotent, fingerprintPayload, IdempotencyError };
@@ -0,0 +1,197 @@
+/**
+ * Rate Limit Service (Application Layer)
+ *
+ * Guards habit series generation and refinement, where every run triggers
+ * several paid AI calls, against bursts from a single user and against
+ * overloading a provider across all users. Both kinds of run share the
+ * same limits (a refinement counts as a generation).
+ *
+ * Three limits are checked before the pipeline starts:
+ * - Per-user token bucket: `tokensPerWindow` generations per `windowMs`,
+ *   refilled continuously (bursts up to the bucket size are allowed)
+ * - Per-user concurrency: at most `maxInFlightPerUser` generations running
+ * - Per-provider concurrency: at most `maxInFlightPerProvider` generations
+ *   running across all users for each provider the pipeline will call
+ *
+ * Rules:
+ * - Concurrency slots are claimed first and the token last, so a request
+ *   rejected for concurrency does not consume the user's budget
+ * - Any rejection releases the slots already claimed
+ * - Slots are released when the operation settles, success or failure
+ * - Rejections raise a RateLimitError carrying a retry-after hint
+ * - Runs that are queued (job mode) take their token when submitted, so a
+ *   burst of submissions is rejected up front; the run itself then only
+ *   claims the concurrency slots. A submission that could not be queued
+ *   gives its token back
+ *
+ * Storage is provided through a rate limit store port
+ * (see InMemoryRateLimitStore for the interface).
+ */
+
+import { PipelineError } from '../errors/PipelineErrors.js';
+
+/**
+ * Default generation limits.
+ */
+export const GENERATION_RATE_LIMITS = {
+  tokensPerWindow: 10,
+  windowMs: 60 * 60 * 1000,
+  maxInFlightPerUser: 2,
+  maxInFlightPerProvider: 50,
+  // Concurrency slots carry no expected end time; clients are told to retry after this
+  busyRetryAfterSeconds: 10,
+  // A crashed request cannot hold a slot longer than this
+  slotLeaseMs: 5 * 60 * 1000
+};
+
+/**
+ * Error raised when a generation is rejected by a limit.
+ */
+export class RateLimitError extends PipelineError {
+  /**
+   * @param {'RATE_LIMITED'|'TOO_MANY_IN_FLIGHT'|'PROVIDER_BUSY'} code
+   * @param {string} message
+   * @param {Object} details
+   * @param {number} details.retryAfterSeconds
+   * @param {string} details.scope - 'user' | 'provider'
+   * @param {string} [details.provider]
+   */
+  constructor(code, message, { retryAfterSeconds, scope, provider }) {
+    super(code, message, { retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.scope = scope;
+    if (provider) this.provider = provider;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfterSeconds: this.retryAfterSeconds, scope: this.scope };
+  }
+}
+
+/**
+ * Take one generation from the user's token bucket.
+ *
+ * @param {Object} params
+ * @param {Object} params.store - Rate limit store
+ * @param {string} params.userId
+ * @param {Object} [params.limits] - Overrides of GENERATION_RATE_LIMITS
+ * @param {Object} [params.logger] - Logger port
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} RATE_LIMITED when the bucket is empty
+ */
+export async function consumeGenerationToken({ store, userId, limits: overrides, logger }) {
+  const limits = { ...GENERATION_RATE_LIMITS, ...overrides };
+
+  try {
+    await takeToken(store, userId, limits);
+  } catch (error) {
+    logRejection(logger, error);
+    throw error;
+  }
+}
+
+/**
+ * Give back a token taken by consumeGenerationToken() for a generation
+ * that never started (e.g. its job could not be queued).
+ *
+ * @param {Object} params
+ * @param {Object} params.store - Rate limit store
+ * @param {string} params.userId
+ * @param {Object} [params.limits] - Overrides of GENERATION_RATE_LIMITS
+ * @returns {Promise<void>}
+ */
+export async function refundGenerationToken({ store, userId, limits: overrides }) {
+  const { tokensPerWindow } = { ...GENERATION_RATE_LIMITS, ...overrides };
+  await store.refundToken(bucketKey(userId), { capacity: tokensPerWindow });
+}
+
+const bucketKey = (userId) => `generation:bucket:${userId}`;
+
+async function takeToken(store, userId, limits) {
+  const bucket = await store.consumeToken(bucketKey(userId), {
+    capacity: limits.tokensPerWindow,
+    refillPerMs: limits.tokensPerWindow / limits.windowMs
+  });
+  if (!bucket.allowed) {
+    throw new RateLimitError(
+      'RATE_LIMITED',
+      `At most ${limits.tokensPerWindow} generations are allowed per ${Math.round(limits.windowMs / 60000)} minutes`,
+      { retryAfterSeconds: Math.max(1, Math.ceil(bucket.retryAfterMs / 1000)), scope: 'user' }
+    );
+  }
+}
+
+function logRejection(logger, error) {
+  if (error instanceof RateLimitError) {
+    logger?.warn('rate_limit.rejected', {
+      code: error.code,
+      scope: error.scope,
+      provider: error.provider,
+      retryAfterSeconds: error.retryAfterSeconds
+    });
+  }
+}
+
+/**
+ * Run an operation once every generation limit has admitted it.
+ *
+ * @param {Object} params
+ * @param {Object} params.store - Rate limit store
+ * @param {string} params.userId
+ * @param {Array<string>} params.providers - Providers the operation will call
+ * @param {Object} [params.limits] - Overrides of GENERATION_RATE_LIMITS
+ * @param {boolean} [params.tokenConsumed] - The token was already taken (consumeGenerationToken at submission)
+ * @param {Object} [params.logger] - Logger port
+ * @param {Function} operation - async () => result
+ * @returns {Promise<*>} Operation result
+ * @throws {RateLimitError}
+ */
+export async function runRateLimited({ store, userId, providers, limits: overrides, tokenConsumed = false, logger }, operation) {
+  const limits = { ...GENERATION_RATE_LIMITS, ...overrides };
+  const leaseOptions = { leaseMs: limits.slotLeaseMs };
+  const held = [];
+
+  const releaseAll = () => Promise.all(held.map(({ key, leaseId }) => store.releaseSlot(key, leaseId)));
+
+  try {
+    const userSlot = await store.acquireSlot(`generation:user:${userId}`, limits.maxInFlightPerUser, leaseOptions);
+    if (!userSlot.acquired) {
+      throw new RateLimitError(
+        'TOO_MANY_IN_FLIGHT',
+        `At most ${limits.maxInFlightPerUser} generations may run at the same time`,
+        { retryAfterSeconds: limits.busyRetryAfterSeconds, scope: 'user' }
+      );
+    }
+    held.push({ key: `generation:user:${userId}`, leaseId: userSlot.leaseId });
+
+    for (const provider of new Set(providers)) {
+      const key = `generation:provider:${provider}`;
+      const slot = await store.acquireSlot(key, limits.maxInFlightPerProvider, leaseOptions);
+      if (!slot.acquired) {
+        throw new RateLimitError(
+          'PROVIDER_BUSY',
+          `Provider "${provider}" is at capacity, try again shortly`,
+          { retryAfterSeconds: limits.busyRetryAfterSeconds, scope: 'provider', provider }
+        );
+      }
+      held.push({ key, leaseId: slot.leaseId });
+    }
+
+    if (!tokenConsumed) {
+      await takeToken(store, userId, limits);
+    }
+  } catch (error) {
+    await releaseAll();
+    logRejection(logger, error);
+    throw error;
+  }
+
+  try {
+    return await operation();
+  } finally {
+    await releaseAll();
+  }
+}
+
+export default { runRateLimited, consumeGenerationToken, RateLimitError, GENERATION_RATE_LIMITS };
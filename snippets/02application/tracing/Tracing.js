@@ -0,0 +1,116 @@
+/**
+ * Tracing Helpers (Application Layer)
+ *
+ * Thin wrapper over the OpenTelemetry API used by the use case, the
+ * execution service, the router and the adapters.
+ *
+ * Only `@opentelemetry/api` is used here. Until a tracer provider is
+ * registered (see infrastructure/tracing/configureTracing.js), every span
+ * is a no-op, so tracing costs nothing when it is not configured.
+ *
+ * Span layout of one createHabitSeries run (one trace):
+ *
+ *   habit_series.create
+ *   ├── validation
+ *   ├── habit_series_creative        (one span per AI pass, incl. repairs)
+ *   │   └── ai.router.call
+ *   │       └── ai.provider.call     (one per attempt)
+ *   ├── habit_series_structure
+ *   ├── json_conversion
+ *   ├── parsing                      (one per contract check)
+ *   └── persistence
+ *
+ * Attribute names follow the OpenTelemetry GenAI conventions where they
+ * exist (gen_ai.*); energy and pass attributes are specific to this backend.
+ */
+
+import { trace, SpanStatusCode, isSpanContextValid } from '@opentelemetry/api';
+
+export const TRACER_NAME = 'ai-backend-orchestration';
+
+/**
+ * Span attribute keys shared across layers.
+ */
+export const SpanAttributes = Object.freeze({
+  USER_ID: 'enduser.id',
+  FUNCTION_TYPE: 'habit_series.function_type',
+  PREVIEW: 'habit_series.preview',
+  REQUEST_MODEL: 'gen_ai.request.model',
+  RESPONSE_MODEL: 'gen_ai.response.model',
+  TEMPERATURE: 'gen_ai.request.temperature',
+  MAX_TOKENS: 'gen_ai.request.max_tokens',
+  INPUT_TOKENS: 'gen_ai.usage.input_tokens',
+  OUTPUT_TOKENS: 'gen_ai.usage.output_tokens',
+  PROVIDER: 'gen_ai.system',
+  TOKEN_SOURCE: 'ai.usage.source',
+  ENERGY: 'ai.energy.consumed',
+  ATTEMPTS: 'ai.attempts',
+  CACHE_HIT: 'ai.cache.hit',
+});
+
+/**
+ * @returns {import('@opentelemetry/api').Tracer}
+ */
+export function getTracer() {
+  return trace.getTracer(TRACER_NAME);
+}
+
+/**
+ * Run `fn` inside an active span.
+ *
+ * The span is ended in every case; a thrown error is recorded on the span,
+ * marks it as failed and is rethrown unchanged.
+ *
+ * @param {string} name
+ * @param {Object} attributes - Initial attributes (undefined/null values are dropped)
+ * @param {Function} fn - (span) => result | Promise<result>
+ * @returns {Promise<*>}
+ */
+export function withSpan(name, attributes, fn) {
+  return getTracer().startActiveSpan(name, { attributes: compact(attributes) }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Token usage and energy attributes of an AI response.
+ *
+ * @param {Object} response - { model, usage?, tokensUsed?, energyConsumed? }
+ * @returns {Object}
+ */
+export function responseAttributes(response) {
+  return compact({
+    [SpanAttributes.RESPONSE_MODEL]: response.model,
+    [SpanAttributes.INPUT_TOKENS]: response.usage?.promptTokens,
+    [SpanAttributes.OUTPUT_TOKENS]: response.usage?.completionTokens ?? response.tokensUsed,
+    [SpanAttributes.TOKEN_SOURCE]: response.usage?.source,
+    [SpanAttributes.ENERGY]: response.energyConsumed,
+  });
+}
+
+/**
+ * Trace id of the active span, or null when tracing is not configured.
+ * Used to correlate log records with traces.
+ *
+ * @returns {string|null}
+ */
+export function activeTraceId() {
+  const context = trace.getActiveSpan()?.spanContext();
+  return context && isSpanContextValid(context) ? context.traceId : null;
+}
+
+function compact(attributes = {}) {
+  return Object.fromEntries(
+    Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+export default { withSpan, getTracer, responseAttributes, activeTraceId, SpanAttributes, TRACER_NAME };
@@ -31,189 +31,563 @@
  * Both share the same conceptual flow.
  */
 
+import { randomUUID } from 'node:crypto';
 import { getModelConfig } from '../../../domain/policies/ModelSelectionPolicy.js';
 import { generateAIResponse } from '../../services/AIExecutionService.js';
+import { estimatePipelineEnergy } from '../../services/EnergyEstimationService.js';
+import { runRateLimited } from '../../services/RateLimitService.js';
 import { ValidationError } from '../errors/index.js';
-
-import CreativeHabitSeriesPrompt from '../../prompts/habit_series_prompts/CreativeHabitSeriesPrompt.js';
-import StructureHabitSeriesPrompt from '../../prompts/habit_series_prompts/StructureHabitSeriesPrompt.js';
-import JsonSchemaHabitSeriesPrompt from '../../prompts/habit_series_prompts/JsonSchemaHabitSeriesPrompt.js';
+import { AIContractViolationError } from '../../errors/PipelineErrors.js';
+import { HABIT_SERIES_SCHEMA } from '../../schemas/HabitSeriesSchema.js';
+import { validateSchema, formatSchemaErrors } from '../../validation/validateSchema.js';
+import { parseJsonWithRepair } from '../../validation/repairJson.js';
+import { detectLanguage, habitSeriesText } from '../../validation/detectLanguage.js';
+import { sanitizeUserInput, hasRemovedInjections } from '../../validation/sanitizeUserInput.js';
+import { moderateHabitSeries, flaggedActionIndex } from '../../validation/moderateHabitSeries.js';
+import {
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  isSupportedLocale,
+  baseLanguage
+} from '../../localization/Locales.js';
+
+import {
+  habitSeriesPromptRegistry,
+  resolveHabitSeriesPrompts,
+  HabitSeriesPromptKey
+} from '../../prompts/habit_series_prompts/HabitSeriesPromptRegistry.js';
 import { HabitSeries } from '../../../domain/entities/HabitSeries.js';
+import { isHabitSeriesFinal } from '../../../domain/policies/PublicHabitSeriesPolicy.js';
+import { ENERGY_RESERVATION_POLICY } from '../../../domain/policies/EnergyPricingPolicy.js';
+import { CONTENT_SAFETY_POLICY } from '../../../domain/policies/ContentSafetyPolicy.js';
+import { defaultLogger } from '../../logging/Logger.js';
+import { withSpan, activeTraceId, SpanAttributes } from '../../tracing/Tracing.js';
 
 /**
- * Schema-like structure used ONLY to guide AI generation.
- * This is NOT a runtime-enforced JSON Schema.
- */
-const HABIT_SERIES_SCHEMA = {
-  type: 'object',
-  required: ['title', 'description', 'actions'],
-  properties: {
-    title: { type: 'string' },
-    description: { type: 'string' },
-    actions: {
-      type: 'array',
-      minItems: 3,
-      maxItems: 5,
-      items: {
-        type: 'object',
-        required: ['name', 'description', 'difficulty'],
-        properties: {
-          name: { type: 'string' },
-          description: { type: 'string' },
-          difficulty: { type: 'string' }
-        }
-      }
-    }
-  }
-};
+ * Preview (draft) stages a client may request instead of a full generation.
+ */
+export const HABIT_SERIES_PREVIEW_STAGES = ['creative', 'structure'];
+
+/**
+ * Maximum number of AI repair calls after the normalization pass.
+ * Local (deterministic) repair is always attempted first and is free.
+ */
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Worst-case number of AI calls made after a pass, per pass, for the
+ * energy estimate: every repair attempt plus every safety rewrite the
+ * policy allows. Both run with the json_conversion configuration.
+ *
+ * @param {Object} safetyPolicy - Effective content safety policy
+ * @returns {Object<string, number>}
+ */
+export function followUpCallBudget(safetyPolicy) {
+  const rewrites = safetyPolicy.onViolation === 'regenerate' ? safetyPolicy.maxRegenerations : 0;
+  return { json_conversion: MAX_REPAIR_ATTEMPTS + rewrites };
+}
+
+/**
+ * Minimum detector confidence for a language mismatch to reject the output.
+ * Below it (or when the detector cannot decide) the output is accepted.
+ */
+const LANGUAGE_CHECK_MIN_CONFIDENCE = 0.6;
 
 /**
- * Manual defensive validation of AI output.
- * This acts as the runtime contract for the use case.
+ * Parse (with local repair) and validate one AI output against the contract.
+ *
+ * @param {string|Object} content
+ * @param {Object} [schema] - Contract to enforce (default: new series contract)
+ * @returns {{ ok: boolean, parsed?: Object, stage?: string, errors: Array<string>, details: Array<Object>, localFixes: Array<string> }}
  */
-function validateAIOutput(data) {
-  if (!data || typeof data !== 'object') {
-    return { valid: false, error: 'Output is not an object' };
+function checkAIOutput(content, schema = HABIT_SERIES_SCHEMA) {
+  const parsing = parseJsonWithRepair(content);
+
+  if (!parsing.ok) {
+    return {
+      ok: false,
+      stage: 'parse',
+      errors: [`Invalid JSON: ${parsing.error}`],
+      details: [],
+      localFixes: parsing.fixes
+    };
   }
 
-  if (typeof data.title !== 'string' || !data.title.trim()) {
-    return { valid: false, error: 'Invalid or missing title' };
+  const validation = validateSchema(parsing.value, schema);
+
+  if (!validation.valid) {
+    return {
+      ok: false,
+      stage: 'schema',
+      errors: validation.errors.map(e => `${e.path || '/'} ${e.message}`),
+      details: validation.errors,
+      localFixes: parsing.fixes
+    };
   }
 
-  if (typeof data.description !== 'string' || !data.description.trim()) {
-    return { valid: false, error: 'Invalid or missing description' };
+  return { ok: true, parsed: parsing.value, errors: [], details: [], localFixes: parsing.fixes };
+}
+
+/**
+ * checkAIOutput inside a `parsing` span, tagged with the outcome.
+ */
+function tracedCheckAIOutput(content, source, attempt, schema) {
+  return withSpan('parsing', { 'contract.source': source, 'contract.attempt': attempt }, (span) => {
+    const check = checkAIOutput(content, schema);
+    span.setAttributes({ 'contract.ok': check.ok, 'contract.local_fixes': check.localFixes.length });
+    if (check.stage) span.setAttribute('contract.stage', check.stage);
+    return check;
+  });
+}
+
+/**
+ * Serializable record of one contract check, attached to the final error.
+ */
+function toRepairHistoryEntry(attempt, source, check) {
+  return {
+    attempt,
+    source,
+    ok: check.ok,
+    stage: check.stage ?? null,
+    errors: check.errors,
+    localFixes: check.localFixes
+  };
+}
+
+/**
+ * Build a progress emitter around an optional listener.
+ *
+ * Progress reporting is best-effort: a failing listener (e.g. a client
+ * that disconnected mid-stream) must never break the pipeline.
+ */
+export function createProgressEmitter(onProgress, logger) {
+  return (type, data = {}) => {
+    if (typeof onProgress !== 'function') return;
+    try {
+      onProgress({ type, at: new Date().toISOString(), ...data });
+    } catch (err) {
+      logger.warn('progress.listener_failed', { progressEvent: type, error: err });
+    }
+  };
+}
+
+/**
+ * Pass 3 (schema-guided normalization) followed by post-AI defensive validation.
+ *
+ * Shared with the refinement use case, which enforces a contract with a
+ * higher action limit.
+ *
+ * @param {Object} [schema] - Contract to enforce (default: new series contract)
+ * @returns {Promise<{ parsed: Object, model: string }>} Parsed output satisfying the
+ *   contract, and the model that produced it (normalization or last repair)
+ * @throws {AIContractViolationError} when the output cannot be repaired
+ */
+export async function normalizeAndValidate(userId, structuredText, prompts, aiDeps, emit, schema = HABIT_SERIES_SCHEMA) {
+  const { logger } = aiDeps;
+
+  const schemaMessages = prompts[HabitSeriesPromptKey.JSON_CONVERSION].build({
+    content: structuredText,
+    schema
+  });
+
+  const schemaConfig = { ...getModelConfig('json_conversion'), functionType: 'json_conversion' };
+  emit('normalization.started', { model: schemaConfig.model });
+  const schemaResponse = await generateAIResponse(
+    userId,
+    schemaMessages,
+    schemaConfig,
+    aiDeps
+  );
+  emit('normalization.done', { model: schemaResponse.model });
+
+  // Each candidate is first repaired locally (code fences, trailing commas,
+  // truncation). If it still fails, json_conversion is re-invoked with the
+  // broken output plus the exact violations, up to MAX_REPAIR_ATTEMPTS times.
+
+  const repairHistory = [];
+  let candidateContent = schemaResponse.content;
+  let candidateModel = schemaResponse.model;
+  let check = await tracedCheckAIOutput(candidateContent, 'normalization', 0, schema);
+
+  repairHistory.push(toRepairHistoryEntry(0, 'normalization', check));
+
+  for (let attempt = 1; !check.ok && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    logger.warn('contract.output_rejected', {
+      stage: check.stage,
+      attempt,
+      maxAttempts: MAX_REPAIR_ATTEMPTS,
+      errors: check.errors
+    });
+
+    emit('repair.started', { attempt, stage: check.stage, errors: check.errors });
+
+    const repairMessages = prompts[HabitSeriesPromptKey.JSON_REPAIR].build({
+      brokenOutput: typeof candidateContent === 'string' ? candidateContent : JSON.stringify(candidateContent),
+      errors: check.errors,
+      schema
+    });
+
+    const repairResponse = await generateAIResponse(
+      userId,
+      repairMessages,
+      schemaConfig,
+      aiDeps
+    );
+
+    candidateContent = repairResponse.content;
+    candidateModel = repairResponse.model;
+    check = await tracedCheckAIOutput(candidateContent, 'repair', attempt, schema);
+    repairHistory.push(toRepairHistoryEntry(attempt, 'repair', check));
   }
 
-  if (!Array.isArray(data.actions)) {
-    return { valid: false, error: 'actions must be an array' };
+  if (!check.ok) {
+    throw new AIContractViolationError(
+      check.stage === 'parse'
+        ? 'AI output is not valid JSON'
+        : `AI output validation failed: ${formatSchemaErrors(check.details)}`,
+      {
+        violation: check.stage === 'parse' ? 'parse' : 'schema',
+        pass: schemaConfig.functionType,
+        model: candidateModel,
+        details: check.details,
+        attempts: repairHistory
+      }
+    );
   }
 
-  if (data.actions.length < 3 || data.actions.length > 5) {
-    return { valid: false, error: 'actions length out of bounds' };
+  if (check.localFixes.length > 0) {
+    logger.info('contract.local_repair_applied', { fixes: check.localFixes });
   }
 
-  for (let i = 0; i < data.actions.length; i++) {
-    const action = data.actions[i];
-    if (!action || typeof action !== 'object') {
-      return { valid: false, error: `actions[${i}] is not an object` };
-    }
-    if (typeof action.name !== 'string' || !action.name.trim()) {
-      return { valid: false, error: `actions[${i}].name invalid` };
-    }
-    if (typeof action.description !== 'string' || !action.description.trim()) {
-      return { valid: false, error: `actions[${i}].description invalid` };
-    }
-    if (typeof action.difficulty !== 'string' || !action.difficulty.trim()) {
-      return { valid: false, error: `actions[${i}].difficulty invalid` };
+  logger.info('contract.validated', { repairAttempts: repairHistory.length - 1 });
+  emit('validation.ok', { repairAttempts: repairHistory.length - 1 });
+
+  return { parsed: check.parsed, model: candidateModel };
+}
+
+/**
+ * Post-generation language check on the validated output.
+ *
+ * The prompts ask for the requested language, but nothing guarantees the
+ * model complied. A confident mismatch is rejected before persistence.
+ *
+ * @param {Object} source - { pass, model } that produced `parsed`, reported on the error
+ * @throws {AIContractViolationError} when the output is confidently in another language
+ */
+export function assertOutputLanguage(parsed, locale, { languageDetector, logger }, source) {
+  const expected = baseLanguage(locale);
+  const detection = languageDetector(habitSeriesText(parsed));
+
+  const mismatch = detection.language !== null
+    && detection.language !== expected
+    && detection.confidence >= LANGUAGE_CHECK_MIN_CONFIDENCE;
+
+  if (!mismatch) {
+    logger.debug('contract.language_checked', { expected, detected: detection.language, confidence: detection.confidence });
+    return;
+  }
+
+  logger.warn('contract.language_mismatch', { expected, detected: detection.language, confidence: detection.confidence });
+
+  throw new AIContractViolationError(
+    `AI output language mismatch: expected "${expected}", detected "${detection.language}"`,
+    {
+      violation: 'language',
+      pass: source.pass,
+      model: source.model,
+      details: [{
+        path: '',
+        keyword: 'language',
+        message: `must be written in "${expected}" (detected "${detection.language}", confidence ${detection.confidence})`
+      }]
     }
+  );
+}
+
+/**
+ * Error raised when flagged content survives the content safety policy.
+ * Details carry the flagged locations and categories, never the text.
+ *
+ * @param {Object} source - { pass, model } that produced the flagged output
+ */
+function unsafeContentError(flags, source) {
+  const categories = [...new Set(flags.map(f => f.category))];
+  return new AIContractViolationError(`AI output failed the content safety check: ${categories.join(', ')}`, {
+    violation: 'safety',
+    pass: source.pass,
+    model: source.model,
+    details: flags.map(f => ({
+      path: f.path,
+      keyword: 'safety',
+      message: `flagged as ${f.category} (${f.rule})`
+    }))
+  });
+}
+
+/**
+ * Remove the flagged actions from a series.
+ *
+ * Series-level fields (title, description) cannot be removed, and the
+ * remaining actions must still satisfy the contract (minimum count).
+ *
+ * @throws {AIContractViolationError} when redaction cannot produce a valid series
+ */
+function redactFlaggedActions(parsed, flags, { schema, source, logger, emit }) {
+  const seriesLevel = flags.filter(f => flaggedActionIndex(f) === null);
+  if (seriesLevel.length > 0) {
+    throw unsafeContentError(seriesLevel, source);
+  }
+
+  const removed = new Set(flags.map(flaggedActionIndex));
+  const redacted = { ...parsed, actions: parsed.actions.filter((_, index) => !removed.has(index)) };
+
+  if (!validateSchema(redacted, schema).valid) {
+    throw unsafeContentError(flags, source);
   }
 
-  return { valid: true };
+  logger.info('safety.redacted', { removedActions: [...removed], remainingActions: redacted.actions.length });
+  emit('safety.redacted', { removedActions: [...removed] });
+
+  return redacted;
 }
 
-export async function createHabitSeries(userId, payload, deps) {
-  console.log(`[USE-CASE] CreateHabitSeries started for user ${userId}`);
+/**
+ * Content safety guard on the validated output, applied before persistence.
+ *
+ * The contract only guarantees shape. The moderator decides whether the
+ * advice is safe, and the content safety policy decides what happens to
+ * flagged output: reject it, have the model rewrite the flagged fields,
+ * or redact the flagged actions.
+ *
+ * A rewrite goes through the contract, the language check and the
+ * moderator again; output still flagged after the allowed rewrites
+ * is rejected.
+ *
+ * The `source` option ({ pass, model } that produced `parsed`) is reported
+ * on the rejection.
+ *
+ * @returns {Promise<Object>} Output without flagged content
+ * @throws {AIContractViolationError} when flagged content cannot be removed
+ */
+export async function enforceContentSafety(userId, parsed, {
+  source,
+  prompts,
+  language,
+  languageDetector,
+  contentSafety,
+  aiDeps,
+  emit,
+  schema = HABIT_SERIES_SCHEMA
+}) {
+  const { logger } = aiDeps;
+  const { moderator, policy } = contentSafety;
+
+  const moderate = (series, attempt) => withSpan('moderation', { 'safety.attempt': attempt }, async (span) => {
+    const result = await moderator(series);
+    span.setAttributes({ 'safety.flagged': result.flagged, 'safety.flags': result.flags.length });
+    return result;
+  });
 
-  const { userRepository, habitSeriesRepository, energyRepository, aiProvider } = deps;
+  let moderation = await moderate(parsed, 0);
 
-  if (!userRepository || !habitSeriesRepository || !energyRepository || !aiProvider) {
-    throw new ValidationError('Missing required dependencies');
+  if (!moderation.flagged) {
+    logger.debug('safety.passed');
+    return parsed;
   }
 
-  if (!payload?.language || !payload?.testData) {
-    throw new ValidationError('Missing required payload fields');
+  logger.warn('safety.flagged', { attempt: 0, action: policy.onViolation, flags: moderation.flags });
+  emit('safety.flagged', { action: policy.onViolation, flags: moderation.flags });
+
+  if (policy.onViolation === 'redact') {
+    return redactFlaggedActions(parsed, moderation.flags, { schema, source, logger, emit });
   }
 
-  // ═══════════════════════════════════════════════════════════════════════
-  // STEP 1: DOMAIN VALIDATION (ABSTRACTED)
-  // ═══════════════════════════════════════════════════════════════════════
-  // At this point, the domain decides WHETHER the operation is allowed
-  // (plan, limits, energy, feature access, etc.).
-  // Concrete business rules are intentionally omitted in this case study.
+  const rewriteConfig = { ...getModelConfig('json_conversion'), functionType: 'json_conversion' };
+  let current = parsed;
+  let currentSource = source;
+
+  for (let attempt = 1; policy.onViolation === 'regenerate' && attempt <= policy.maxRegenerations; attempt++) {
+    emit('safety.rewrite.started', { attempt });
+
+    const rewriteMessages = prompts[HabitSeriesPromptKey.SAFETY_REWRITE].build({
+      document: JSON.stringify(current),
+      flags: moderation.flags,
+      schema
+    });
+
+    const rewriteResponse = await generateAIResponse(
+      userId,
+      rewriteMessages,
+      rewriteConfig,
+      aiDeps
+    );
+
+    const check = await tracedCheckAIOutput(rewriteResponse.content, 'safety_rewrite', attempt, schema);
+    if (!check.ok) {
+      logger.warn('safety.rewrite_rejected', { attempt, stage: check.stage, errors: check.errors });
+      continue;
+    }
+
+    const rewriteSource = { pass: rewriteConfig.functionType, model: rewriteResponse.model };
+    assertOutputLanguage(check.parsed, language, { languageDetector, logger }, rewriteSource);
+
+    current = check.parsed;
+    currentSource = rewriteSource;
+    moderation = await moderate(current, attempt);
+
+    if (!moderation.flagged) {
+      logger.info('safety.rewritten', { attempts: attempt });
+      emit('safety.rewritten', { attempts: attempt });
+      return current;
+    }
+
+    logger.warn('safety.flagged', { attempt, action: policy.onViolation, flags: moderation.flags });
+  }
 
-  console.log('[DOMAIN] Validation passed (abstracted)');
+  throw unsafeContentError(moderation.flags, currentSource);
+}
 
+/**
+ * AI passes executed for each preview stage (null = full generation).
+ */
+const PIPELINE_PASSES = {
+  creative: ['habit_series_creative'],
+  structure: ['habit_series_creative', 'habit_series_structure'],
+  full: ['habit_series_creative', 'habit_series_structure', 'json_conversion']
+};
+
+/**
+ * Steps 2–6: AI passes, normalization, persistence and side effects.
+ *
+ * Every AI call is charged against the reservation carried by aiDeps;
+ * the caller settles or refunds it depending on the outcome.
+ */
+async function runPipeline(userId, payload, creativeMessages, {
+  habitSeriesRepository,
+  prompts,
+  promptVersions,
+  languageDetector,
+  contentSafety,
+  generateId,
+  aiDeps,
+  emit,
+  onProgress
+}) {
   // ═══════════════════════════════════════════════════════════════════════
   // STEP 2: AI EXECUTION (3 PASSES)
   // ═══════════════════════════════════════════════════════════════════════
+  // Each pass config carries its functionType so that providers which
+  // depend on it (e.g. the offline stub adapter) can resolve the pass.
 
-  const { language, assistantContext, testData } = payload;
+  const { language } = payload;
+  const preview = payload.preview ?? null;
 
   // Pass 1 — Creative
-  const creativeMessages = CreativeHabitSeriesPrompt({
-    language,
-    assistantContext: assistantContext || '',
-    testData
-  });
-
-  const creativeConfig = getModelConfig('habit_series_creative');
+  // Creative tokens are streamed to progress listeners when the provider supports it.
+  // A retry or fallback restarts the text: creative.reset tells listeners to drop
+  // the deltas received so far.
+  const creativeConfig = {
+    ...getModelConfig('habit_series_creative'),
+    functionType: 'habit_series_creative',
+    ...(onProgress && {
+      onDelta: (text) => emit('creative.delta', { text }),
+      onStreamReset: ({ model }) => emit('creative.reset', { model })
+    })
+  };
+
+  emit('creative.started', { model: creativeConfig.model });
   const creativeResponse = await generateAIResponse(
     userId,
     creativeMessages,
     creativeConfig,
-    { aiProvider, energyRepository }
-  );
-
-  // Pass 2 — Structure
-  const structureMessages = StructureHabitSeriesPrompt({
-    language,
-    rawText: creativeResponse.content
-  });
-
-  const structureConfig = getModelConfig('habit_series_structure');
-  const structureResponse = await generateAIResponse(
-    userId,
-    structureMessages,
-    structureConfig,
-    { aiProvider, energyRepository }
-  );
-
-  // Pass 3 — Schema-guided normalization
-  const schemaMessages = JsonSchemaHabitSeriesPrompt({
-    content: structureResponse.content,
-    schema: HABIT_SERIES_SCHEMA
-  });
-
-  const schemaConfig = getModelConfig('json_conversion');
-  const schemaResponse = await generateAIResponse(
-    userId,
-    schemaMessages,
-    schemaConfig,
-    { aiProvider, energyRepository }
+    aiDeps
   );
+  emit('creative.done', { model: creativeResponse.model });
+
+  let lastPass = 'habit_series_creative';
+  let latestContent = creativeResponse.content;
+
+  if (preview !== 'creative') {
+    // Pass 2 — Structure
+    const structureMessages = prompts[HabitSeriesPromptKey.STRUCTURE].build({
+      language,
+      rawText: creativeResponse.content
+    });
+
+    const structureConfig = { ...getModelConfig('habit_series_structure'), functionType: 'habit_series_structure' };
+    emit('structure.started', { model: structureConfig.model });
+    const structureResponse = await generateAIResponse(
+      userId,
+      structureMessages,
+      structureConfig,
+      aiDeps
+    );
+    emit('structure.done', { model: structureResponse.model });
+
+    lastPass = 'habit_series_structure';
+    latestContent = structureResponse.content;
+  }
 
   // ═══════════════════════════════════════════════════════════════════════
-  // STEP 3: POST-AI DEFENSIVE VALIDATION
+  // STEP 3: NORMALIZATION (PASS 3) + POST-AI DEFENSIVE VALIDATION
   // ═══════════════════════════════════════════════════════════════════════
-
-  let parsed;
-  try {
-    parsed = typeof schemaResponse.content === 'string'
-      ? JSON.parse(schemaResponse.content)
-      : schemaResponse.content;
-  } catch (err) {
-    throw new ValidationError('AI output is not valid JSON');
+  // Drafts stop before this step: they are returned as free-form text.
+  // The final output must also be written in the requested language,
+  // and must not contain unsafe wellbeing advice.
+
+  let parsed = null;
+  if (!preview) {
+    const normalized = await normalizeAndValidate(userId, latestContent, prompts, aiDeps, emit);
+    const source = { pass: 'json_conversion', model: normalized.model };
+    assertOutputLanguage(normalized.parsed, language, { languageDetector, logger: aiDeps.logger }, source);
+    parsed = await enforceContentSafety(userId, normalized.parsed, {
+      source,
+      prompts,
+      language,
+      languageDetector,
+      contentSafety,
+      aiDeps,
+      emit
+    });
   }
 
-  const validation = validateAIOutput(parsed);
-  if (!validation.valid) {
-    throw new ValidationError(`AI output validation failed: ${validation.error}`);
-  }
-
-  console.log('[CONTRACT] AI output validated');
-
   // ═══════════════════════════════════════════════════════════════════════
-  // STEP 4: PERSISTENCE
+  // STEP 4: PERSISTENCE (GOVERNED BY DOMAIN POLICY)
   // ═══════════════════════════════════════════════════════════════════════
+  // Only a final artifact is persisted. Drafts are never written and never
+  // count as an active series.
+  // The prompt versions that produced the series are stored alongside it
+  // as generation metadata; they are not part of the domain entity.
+
+  if (!isHabitSeriesFinal(lastPass, { preview: preview !== null })) {
+    aiDeps.logger.info('habit_series.draft_ready', { stage: preview, lastPass });
+    emit('draft.ready', { stage: preview });
+
+    return {
+      status: 'draft',
+      stage: preview,
+      language,
+      content: latestContent,
+      promptVersions,
+      persisted: false
+    };
+  }
 
-  const entity = HabitSeries.fromAIOutput(parsed);
-  const persisted = await habitSeriesRepository.createFromAI(userId, entity);
+  // Series insert and active series counter increment are one transaction
+  // inside the repository (see IHabitSeriesRepository)
+  const persisted = await withSpan('persistence', {}, async (span) => {
+    const entity = HabitSeries.fromAIOutput(parsed, generateId());
+    const saved = await habitSeriesRepository.createFromAI(userId, entity, { promptVersions });
+    span.setAttribute('habit_series.id', String(saved.id));
+    return saved;
+  });
 
   // ═══════════════════════════════════════════════════════════════════════
   // STEP 5: DOMAIN SIDE EFFECTS
   // ═══════════════════════════════════════════════════════════════════════
 
-  await userRepository.incrementActiveSeries(userId);
+  aiDeps.logger.info('habit_series.persisted', { seriesId: persisted.id });
+  emit('persisted', { seriesId: persisted.id });
 
   // ═══════════════════════════════════════════════════════════════════════
   // STEP 6: RETURN RESULT
@@ -222,4 +596,213 @@ export async function createHabitSeries(userId, payload, deps) {
   return persisted.toDTO();
 }
 
-export default { createHabitSeries };
\ No newline at end of file
+/**
+ * @param {string} userId
+ * @param {Object} payload - { language, assistantContext?, testData, preview? }
+ *   language: supported locale tag (see SUPPORTED_LOCALES; regional variants such as
+ *   'pt-BR' or 'fr-CA' are accepted when their base language is supported)
+ *   preview: 'creative' runs only pass 1, 'structure' runs passes 1-2.
+ *   Previews return an unpersisted draft: { status: 'draft', stage, language, content, promptVersions, persisted: false }
+ * @param {Object} deps
+ * @param {Object} deps.habitSeriesRepository - IHabitSeriesRepository (also owns the active series counter)
+ * @param {Object} deps.energyRepository - Must support reserve / recordUsage / settle / refund
+ * @param {Object} [deps.logger] - Logger port; bound to the request id by the caller
+ * @param {Object} [deps.promptRegistry] - Prompt versions and experiments (default: habit series registry)
+ * @param {Function} [deps.languageDetector] - (text) => { language, confidence } (default: stopword detector)
+ * @param {Object} [deps.sanitizationLimits] - Overrides of SANITIZATION_LIMITS (answer count and lengths)
+ * @param {Function} [deps.contentModerator] - (series) => { flagged, flags } (default: rule-based moderator)
+ * @param {Object} [deps.contentSafetyPolicy] - Overrides of CONTENT_SAFETY_POLICY (onViolation, maxRegenerations)
+ * @param {Object} [deps.rateLimitStore] - Rate limit store; when set, generations are rate limited
+ *   per user and capped per provider before anything is reserved (see RateLimitService)
+ * @param {Object} [deps.rateLimits] - Overrides of GENERATION_RATE_LIMITS
+ * @param {boolean} [deps.rateLimitTokenConsumed] - The generation token was already taken
+ *   when the run was submitted (job mode); only concurrency is checked
+ * @param {Function} [deps.generateId] - Id generator for new series (default: random UUID)
+ * @param {Function} [deps.onProgress] - Optional listener for pass-level events:
+ *   input.sanitized, energy.reserved, creative.started, creative.delta, creative.reset, creative.done, structure.started,
+ *   structure.done, normalization.started, normalization.done,
+ *   repair.started, validation.ok, safety.flagged, safety.rewrite.started, safety.rewritten,
+ *   safety.redacted, persisted, draft.ready, energy.settled, energy.refunded
+ * @throws {RateLimitError} when a generation limit rejects the run (carries retryAfterSeconds)
+ */
+export async function createHabitSeries(userId, payload, deps) {
+  // One trace per run: every pass, router and adapter span nests under this one
+  return withSpan(
+    'habit_series.create',
+    { [SpanAttributes.USER_ID]: userId, [SpanAttributes.PREVIEW]: payload?.preview ?? 'none' },
+    () => {
+      if (!deps?.rateLimitStore) return executeCreateHabitSeries(userId, payload, deps);
+
+      // Limits are checked before any energy is reserved or any AI call is made
+      return runRateLimited(
+        {
+          store: deps.rateLimitStore,
+          userId,
+          providers: passProviders(deps.aiProvider, PIPELINE_PASSES[payload?.preview ?? 'full'] ?? PIPELINE_PASSES.full),
+          limits: deps.rateLimits,
+          tokenConsumed: deps.rateLimitTokenConsumed,
+          logger: deps.logger ?? defaultLogger
+        },
+        () => executeCreateHabitSeries(userId, payload, deps)
+      );
+    }
+  );
+}
+
+/**
+ * Providers serving the primary model of each pass that will run.
+ * Routers that cannot name providers count as a single 'default' one.
+ *
+ * Shared with the refinement use case, which runs other passes.
+ */
+export function passProviders(aiProvider, passes) {
+  return passes.map(functionType =>
+    aiProvider?.resolveProviderName?.(getModelConfig(functionType).model) ?? 'default'
+  );
+}
+
+async function executeCreateHabitSeries(userId, payload, deps) {
+  const { habitSeriesRepository, energyRepository, aiProvider, onProgress } = deps;
+
+  // Prompt versions (and experiment variants) are fixed for the whole run
+  // and bound to every log record, so outcomes can be compared per version.
+  const { prompts, promptVersions } = resolveHabitSeriesPrompts(
+    deps.promptRegistry ?? habitSeriesPromptRegistry,
+    userId
+  );
+
+  const traceId = activeTraceId();
+  const logger = (deps.logger ?? defaultLogger).child({ userId, promptVersions, ...(traceId && { traceId }) });
+  const emit = createProgressEmitter(onProgress, logger);
+
+  logger.info('habit_series.started', { preview: payload?.preview ?? null });
+
+  const safetyPolicy = { ...CONTENT_SAFETY_POLICY, ...deps.contentSafetyPolicy };
+
+  if (!habitSeriesRepository || !energyRepository || !aiProvider) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 1: DOMAIN VALIDATION + ENERGY RESERVATION
+  // ═══════════════════════════════════════════════════════════════════════
+  // At this point, the domain decides WHETHER the operation is allowed
+  // (plan, limits, feature access, etc.).
+  // Concrete business rules are intentionally omitted in this case study.
+  //
+  // Energy is the exception: the estimated cost of every pass that will
+  // run is reserved BEFORE the first AI call. A user without enough
+  // energy is rejected here, not halfway through the pipeline.
+
+  const { language, creativeMessages, reservation } = await withSpan('validation', {}, async (span) => {
+    if (!payload?.language || !payload?.testData) {
+      throw new ValidationError('Missing required payload fields');
+    }
+
+    if (!isSupportedLocale(payload.language)) {
+      throw new ValidationError(
+        `Unsupported language "${payload.language}". Supported: ${Object.keys(SUPPORTED_LOCALES).join(', ')} ` +
+        '(and regional variants of these languages)'
+      );
+    }
+
+    if (payload.preview != null && !HABIT_SERIES_PREVIEW_STAGES.includes(payload.preview)) {
+      throw new ValidationError(
+        `Invalid preview stage "${payload.preview}". Expected one of: ${HABIT_SERIES_PREVIEW_STAGES.join(', ')}`
+      );
+    }
+
+    if (typeof payload.testData !== 'object' || Array.isArray(payload.testData)) {
+      throw new ValidationError('testData must be an object of answers keyed by question');
+    }
+
+    logger.debug('domain.validation_passed');
+
+    const locale = normalizeLocale(payload.language);
+
+    // User text is sanitized BEFORE it reaches any prompt. Only the
+    // report is logged: raw answers may contain PII.
+    const { testData, assistantContext, report } = sanitizeUserInput(
+      { testData: payload.testData, assistantContext: payload.assistantContext },
+      deps.sanitizationLimits
+    );
+
+    if (report.changed) {
+      const level = hasRemovedInjections(report) ? 'warn' : 'info';
+      logger[level]('input.sanitized', { report });
+      emit('input.sanitized', { report });
+    }
+
+    // The creative prompt is the only input known before any call,
+    // so it is built here and drives the energy estimate.
+    const messages = prompts[HabitSeriesPromptKey.CREATIVE].build({
+      language: locale,
+      assistantContext,
+      testData
+    });
+
+    const estimate = await estimatePipelineEnergy(messages, {
+      functionTypes: PIPELINE_PASSES[payload.preview ?? 'full'],
+      aiProvider,
+      followUpCalls: followUpCallBudget(safetyPolicy)
+    });
+
+    const held = await energyRepository.reserve(userId, estimate.amount, {
+      reason: 'HABIT_SERIES_GENERATION'
+    });
+    span.setAttribute('ai.energy.reserved', estimate.amount);
+    logger.info('energy.reserved', { reservationId: held.id, amount: estimate.amount });
+    emit('energy.reserved', { reservationId: held.id, amount: estimate.amount });
+
+    return { language: locale, creativeMessages: messages, reservation: held };
+  });
+
+  const aiDeps = { aiProvider, energyRepository, energyReservation: reservation, logger };
+
+  // Success (final or draft) charges the actual cost and returns the rest.
+  // Failure refunds according to the domain reservation policy.
+
+  let result;
+  try {
+    result = await runPipeline(userId, { ...payload, language }, creativeMessages, {
+      prompts,
+      promptVersions,
+      languageDetector: deps.languageDetector ?? detectLanguage,
+      contentSafety: {
+        moderator: deps.contentModerator ?? moderateHabitSeries,
+        policy: safetyPolicy
+      },
+      generateId: deps.generateId ?? randomUUID,
+      habitSeriesRepository,
+      aiDeps,
+      emit,
+      onProgress
+    });
+  } catch (error) {
+    logger.error('habit_series.failed', { error });
+
+    const mode = ENERGY_RESERVATION_POLICY.refundOnFailure;
+    try {
+      const refunded = await energyRepository.refund(reservation.id, { mode });
+      logger.info('energy.refunded', { reservationId: reservation.id, mode, amount: refunded.refunded });
+      emit('energy.refunded', { reservationId: reservation.id, mode, amount: refunded.refunded });
+    } catch (refundError) {
+      // The original failure is what the caller must see; the open
+      // reservation is left for reconciliation.
+      logger.error('energy.refund_failed', { reservationId: reservation.id, error: refundError });
+    }
+    throw error;
+  }
+
+  const settled = await energyRepository.settle(reservation.id);
+  logger.info('energy.settled', {
+    reservationId: reservation.id,
+    charged: settled.charged,
+    reserved: settled.reserved
+  });
+  emit('energy.settled', { reservationId: reservation.id, charged: settled.charged, refunded: settled.refunded });
+
+  return result;
+}
+
+export default { createHabitSeries };
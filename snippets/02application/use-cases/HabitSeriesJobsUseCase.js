@@ -0,0 +1,141 @@
+/**
+ * Habit Series Jobs (Application Layer)
+ *
+ * Asynchronous variant of CreateHabitSeries.
+ *
+ * The multi-pass pipeline can take tens of seconds, which is fragile behind
+ * mobile proxies. These use cases let clients submit the generation as a
+ * job and poll for its status, current pass and final result.
+ *
+ * The pipeline itself is NOT duplicated: each job simply runs
+ * createHabitSeries and records its progress events.
+ *
+ * The job id is bound to the request logger, so the logs of a job run
+ * can be found from either the submitting request id or the job id.
+ */
+
+import { createHabitSeries } from './CreateHabitSeriesUseCase.js';
+import { consumeGenerationToken, refundGenerationToken } from '../../services/RateLimitService.js';
+import { ValidationError } from '../errors/index.js';
+import { defaultLogger } from '../../logging/Logger.js';
+import { isSupportedLocale } from '../../localization/Locales.js';
+
+export const HABIT_SERIES_JOB_TYPE = 'habit_series';
+
+/**
+ * Submit a habit series generation job.
+ *
+ * Payload shape is checked before enqueueing so that obviously invalid
+ * requests fail synchronously instead of producing a failed job. For the
+ * same reason the rate limit token is taken here: a burst of submissions
+ * is rejected with RATE_LIMITED instead of queueing jobs that would fail.
+ * The token is given back when the job cannot be queued (e.g. the queue
+ * is full). Concurrency limits are checked when the job starts.
+ *
+ * @param {string} userId
+ * @param {Object} payload - Same payload as createHabitSeries
+ * @param {Object} deps - createHabitSeries dependencies plus { jobQueue }
+ * @returns {Promise<Object>} Public job view (status: queued)
+ * @throws {RateLimitError} when the user's generation budget is exhausted
+ * @throws {JobQueueFullError} when the job queue backlog is full
+ */
+export async function submitHabitSeriesJob(userId, payload, deps) {
+  const { jobQueue, ...pipelineDeps } = deps;
+  const logger = pipelineDeps.logger ?? defaultLogger;
+
+  if (!jobQueue) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  if (!payload?.language || !payload?.testData) {
+    throw new ValidationError('Missing required payload fields');
+  }
+
+  if (!isSupportedLocale(payload.language)) {
+    throw new ValidationError(`Unsupported language "${payload.language}"`);
+  }
+
+  const { rateLimitStore, rateLimits } = pipelineDeps;
+  if (rateLimitStore) {
+    await consumeGenerationToken({ store: rateLimitStore, userId, limits: rateLimits, logger });
+  }
+
+  let job;
+  try {
+    job = await jobQueue.enqueue(
+      { type: HABIT_SERIES_JOB_TYPE, userId },
+      ({ job: running, reportProgress }) => runJob(userId, payload, pipelineDeps, { running, reportProgress, logger })
+    );
+  } catch (error) {
+    if (rateLimitStore) {
+      await refundGenerationToken({ store: rateLimitStore, userId, limits: rateLimits });
+    }
+    throw error;
+  }
+
+  logger.info('habit_series.job.queued', { jobId: job.id });
+
+  return toJobView(job);
+}
+
+/**
+ * Job handler: runs the pipeline and records its stage transitions.
+ */
+function runJob(userId, payload, pipelineDeps, { running, reportProgress, logger }) {
+  return createHabitSeries(userId, payload, {
+    ...pipelineDeps,
+    rateLimitTokenConsumed: true,
+    logger: logger.child({ jobId: running.id }),
+    onProgress: ({ type }) => {
+      // Only stage transitions are recorded; streamed deltas are ignored
+      if (type.endsWith('.started')) reportProgress(type.slice(0, -'.started'.length));
+      else if (type === 'validation.ok') reportProgress('validation');
+      else if (type === 'persisted') reportProgress('persisted');
+      else if (type === 'draft.ready') reportProgress('draft');
+    }
+  });
+}
+
+/**
+ * Read the status of a habit series job.
+ *
+ * Jobs are private: a job owned by another user is reported as not found.
+ *
+ * @param {string} userId
+ * @param {string} jobId
+ * @param {Object} deps - { jobStore }
+ * @returns {Promise<Object|null>} Public job view, or null if not found
+ */
+export async function getHabitSeriesJob(userId, jobId, deps) {
+  const { jobStore } = deps;
+
+  if (!jobStore) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  const job = await jobStore.get(jobId);
+
+  if (!job || job.userId !== userId || job.type !== HABIT_SERIES_JOB_TYPE) {
+    return null;
+  }
+
+  return toJobView(job);
+}
+
+/**
+ * Public representation of a job (internal fields are not exposed).
+ */
+function toJobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    currentPass: job.currentPass,
+    result: job.status === 'succeeded' ? job.result : null,
+    error: job.status === 'failed' ? job.error : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+export default { submitHabitSeriesJob, getHabitSeriesJob };
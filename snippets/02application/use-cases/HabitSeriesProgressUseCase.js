@@ -0,0 +1,156 @@
+/**
+ * Habit Series Progress (Application Layer)
+ *
+ * Use cases for the life of a series AFTER creation: logging activity
+ * and reading progress.
+ *
+ * All rules (points per action, score monotonicity, action cap, rank
+ * changes) live in the HabitSeries entity and its progress policy. This
+ * module only applies one transition through the repository (read,
+ * transition, save and activity entry in one transaction, so concurrent
+ * completions all count) and publishes.
+ *
+ * Domain events raised by a transition (e.g. HabitSeriesRankChanged) are
+ * published only after the new state has been saved, so a subscriber
+ * never reacts to progress that was not persisted.
+ *
+ * Series are private: a series owned by another user is reported as not
+ * found.
+ */
+
+import { ValidationError } from '../errors/index.js';
+import { defaultLogger } from '../../logging/Logger.js';
+
+/**
+ * How far in the future a completedAt may be, to absorb client clock skew.
+ */
+const MAX_COMPLETED_AT_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Log one completion of an action of a series.
+ *
+ * @param {string} userId
+ * @param {string} seriesId
+ * @param {Object} payload - { actionId, completedAt? }
+ *   actionId: position of the action in the series (0-based)
+ *   completedAt: ISO date, defaults to now, never in the future (beyond MAX_COMPLETED_AT_SKEW_MS)
+ * @param {Object} deps
+ * @param {Object} deps.habitSeriesRepository - Must support update(userId, id, change)
+ * @param {Object} [deps.eventPublisher] - { publish(event) } for domain events
+ * @param {Object} [deps.logger] - Logger port
+ * @returns {Promise<Object|null>} { progress, events }, or null if the series is not found
+ */
+export async function logHabitActivity(userId, seriesId, payload, deps) {
+  const { habitSeriesRepository, eventPublisher } = deps;
+  const logger = (deps.logger ?? defaultLogger).child({ seriesId });
+
+  if (!habitSeriesRepository) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  if (payload?.actionId === undefined || payload?.actionId === null) {
+    throw new ValidationError('Missing required payload fields');
+  }
+
+  const now = Date.now();
+  const completedAt = payload.completedAt ? new Date(payload.completedAt) : new Date(now);
+  if (Number.isNaN(completedAt.getTime())) {
+    throw new ValidationError(`Invalid completedAt "${payload.completedAt}"`);
+  }
+
+  if (completedAt.getTime() > now + MAX_COMPLETED_AT_SKEW_MS) {
+    throw new ValidationError(`completedAt "${payload.completedAt}" is in the future`);
+  }
+
+  let activity;
+  const updated = await habitSeriesRepository.update(userId, seriesId, (series) => {
+    let next;
+    try {
+      next = series.completeAction(payload.actionId, completedAt);
+    } catch (error) {
+      // Entity invariants are the rules of this operation: a violation is a bad request
+      throw new ValidationError(error.message);
+    }
+
+    // Completion log: read back as "recent activity" when the series is refined
+    activity = {
+      actionId: Number(payload.actionId),
+      actionName: series.actions[Number(payload.actionId)].name,
+      points: next.totalScore - series.totalScore,
+      at: completedAt.toISOString()
+    };
+
+    return { series: next, activity };
+  });
+  if (!updated) return null;
+
+  const next = updated.series;
+
+  logger.info('habit_series.activity_logged', {
+    actionId: payload.actionId,
+    points: activity.points,
+    totalScore: next.totalScore
+  });
+
+  const events = next.domainEvents.map(toEventView);
+
+  for (const event of next.domainEvents) {
+    logger.info('habit_series.rank_changed', { from: event.from, to: event.to, totalScore: event.totalScore });
+    try {
+      await eventPublisher?.publish(event);
+    } catch (error) {
+      // The activity is saved; a failed notification must not undo it
+      logger.error('habit_series.event_publish_failed', { eventType: event.type, error });
+    }
+  }
+
+  return { progress: toProgressView(next), events };
+}
+
+/**
+ * Read the progress of a series.
+ *
+ * @param {string} userId
+ * @param {string} seriesId
+ * @param {Object} deps - { habitSeriesRepository }
+ * @returns {Promise<Object|null>} Progress view, or null if the series is not found
+ */
+export async function getHabitSeriesProgress(userId, seriesId, deps) {
+  const { habitSeriesRepository } = deps;
+
+  if (!habitSeriesRepository) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  const series = await habitSeriesRepository.findById(userId, seriesId);
+  return series ? toProgressView(series) : null;
+}
+
+/**
+ * Public representation of the progress of a series.
+ */
+function toProgressView(series) {
+  return {
+    seriesId: series.id,
+    totalScore: series.totalScore,
+    rank: series.getRank(),
+    actionCount: series.actions.length,
+    createdAt: series.createdAt.toISOString(),
+    lastActivityAt: series.lastActivityAt.toISOString()
+  };
+}
+
+/**
+ * Public representation of a domain event.
+ */
+function toEventView(event) {
+  return {
+    type: event.type,
+    from: event.from,
+    to: event.to,
+    totalScore: event.totalScore,
+    occurredAt: event.occurredAt.toISOString()
+  };
+}
+
+export default { logHabitActivity, getHabitSeriesProgress };
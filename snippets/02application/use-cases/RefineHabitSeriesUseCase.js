@@ -0,0 +1,482 @@
+/**
+ * Refine Habit Series (Application Layer)
+ *
+ * Revises a series the user already has ("make this harder", "give me
+ * two more actions") instead of generating a brand new one.
+ *
+ * Flow:
+ * 1. Validate and sanitize the user request, load the series and its
+ *    recent activity, reserve energy for the passes that will run
+ * 2. Refinement pass: current version + activity + request → free text
+ * 3. The SAME guards as a new series: normalization pass with repair,
+ *    contract, language check and content moderation. The contract only
+ *    differs in the action limit (an existing series may grow up to the
+ *    domain cap)
+ * 4. Merge the result into the series as a new version
+ *
+ * Concurrency:
+ * - The merge is one repository update on the CURRENT state, so activity
+ *   logged while the AI passes ran is kept
+ * - The refinement was written from the content of the latest version at
+ *   load time. If another refinement or a restore added a version since,
+ *   the merge is rejected (SeriesRevisionConflictError) instead of
+ *   silently discarding that change
+ * - Actions keep their positions across revisions (see HabitSeries.revise);
+ *   output that moves an existing action breaks the contract
+ *
+ * Versioning:
+ * - Every refinement and every restore appends a version (content
+ *   snapshot + origin); versions are never rewritten
+ * - The content the series had before its first refinement is recorded
+ *   as version 1 ('generated') at that moment, so it can be restored
+ * - Score and activity belong to the series, not to a version: restoring
+ *   content never changes progress
+ *
+ * Energy is reserved, settled and refunded exactly like createHabitSeries.
+ * Series are private: a series owned by another user is reported as not found.
+ */
+
+import { getModelConfig } from '../../../domain/policies/ModelSelectionPolicy.js';
+import { generateAIResponse } from '../../services/AIExecutionService.js';
+import { estimatePipelineEnergy } from '../../services/EnergyEstimationService.js';
+import { ValidationError } from '../errors/index.js';
+import { AIContractViolationError, SeriesRevisionConflictError } from '../../errors/PipelineErrors.js';
+import { HABIT_SERIES_REFINEMENT_SCHEMA } from '../../schemas/HabitSeriesSchema.js';
+import { detectLanguage } from '../../validation/detectLanguage.js';
+import { sanitizeUserInput, hasRemovedInjections } from '../../validation/sanitizeUserInput.js';
+import { moderateHabitSeries } from '../../validation/moderateHabitSeries.js';
+import { normalizeLocale, isSupportedLocale } from '../../localization/Locales.js';
+import {
+  habitSeriesPromptRegistry,
+  resolveHabitSeriesPrompts,
+  HabitSeriesPromptKey
+} from '../../prompts/habit_series_prompts/HabitSeriesPromptRegistry.js';
+import {
+  createProgressEmitter,
+  passProviders,
+  normalizeAndValidate,
+  assertOutputLanguage,
+  enforceContentSafety,
+  followUpCallBudget
+} from './CreateHabitSeriesUseCase.js';
+import { HabitSeries } from '../../../domain/entities/HabitSeries.js';
+import { MAX_HABIT_SERIES_ACTIONS } from '../../../domain/policies/HabitSeriesProgressPolicy.js';
+import { ENERGY_RESERVATION_POLICY } from '../../../domain/policies/EnergyPricingPolicy.js';
+import { CONTENT_SAFETY_POLICY } from '../../../domain/policies/ContentSafetyPolicy.js';
+import { defaultLogger } from '../../logging/Logger.js';
+import { withSpan, activeTraceId, SpanAttributes } from '../../tracing/Tracing.js';
+import { runRateLimited } from '../../services/RateLimitService.js';
+
+/**
+ * Maximum length of a refinement request, after sanitization.
+ */
+const MAX_INSTRUCTION_LENGTH = 500;
+
+/**
+ * Number of recent completions shown to the model.
+ */
+const RECENT_ACTIVITY_LIMIT = 20;
+
+/**
+ * AI passes of a refinement.
+ */
+const REFINEMENT_PASSES = ['habit_series_refine', 'json_conversion'];
+
+/**
+ * Origin of a version.
+ */
+export const HabitSeriesVersionSource = Object.freeze({
+  GENERATED: 'generated',
+  REFINED: 'refined',
+  RESTORED: 'restored'
+});
+
+/**
+ * @param {string} userId
+ * @param {string} seriesId
+ * @param {Object} payload - { instruction, language }
+ *   instruction: free-text request (sanitized, max MAX_INSTRUCTION_LENGTH chars)
+ *   language: supported locale of the series content
+ * @param {Object} deps
+ * @param {Object} deps.habitSeriesRepository - Must support findById / update / listActivity /
+ *   listVersions
+ * @param {Object} deps.energyRepository - Must support reserve / recordUsage / settle / refund
+ * @param {Object} deps.aiProvider - IAIProvider implementation
+ * @param {Object} [deps.logger] - Logger port
+ * @param {Object} [deps.promptRegistry] - Prompt versions and experiments
+ * @param {Function} [deps.languageDetector] - (text) => { language, confidence }
+ * @param {Function} [deps.contentModerator] - (series) => { flagged, flags }
+ * @param {Object} [deps.contentSafetyPolicy] - Overrides of CONTENT_SAFETY_POLICY
+ * @param {Object} [deps.rateLimitStore] - Rate limit store; when set, refinements count against the
+ *   same generation limits as new series (see RateLimitService)
+ * @param {Object} [deps.rateLimits] - Overrides of GENERATION_RATE_LIMITS
+ * @param {Function} [deps.onProgress] - Optional listener for pass-level events:
+ *   energy.reserved, refine.started, refine.done, normalization.started, normalization.done,
+ *   repair.started, validation.ok, safety.*, refined, energy.settled, energy.refunded
+ * @returns {Promise<Object|null>} New version of the series, or null if the series is not found
+ * @throws {RateLimitError} when a generation limit rejects the run (carries retryAfterSeconds)
+ */
+export async function refineHabitSeries(userId, seriesId, payload, deps) {
+  return withSpan(
+    'habit_series.refine',
+    { [SpanAttributes.USER_ID]: userId, 'habit_series.id': String(seriesId) },
+    () => {
+      if (!deps?.rateLimitStore) return executeRefineHabitSeries(userId, seriesId, payload, deps);
+
+      // Limits are checked before any energy is reserved or any AI call is made
+      return runRateLimited(
+        {
+          store: deps.rateLimitStore,
+          userId,
+          providers: passProviders(deps.aiProvider, REFINEMENT_PASSES),
+          limits: deps.rateLimits,
+          logger: deps.logger ?? defaultLogger
+        },
+        () => executeRefineHabitSeries(userId, seriesId, payload, deps)
+      );
+    }
+  );
+}
+
+async function executeRefineHabitSeries(userId, seriesId, payload, deps) {
+  const { habitSeriesRepository, energyRepository, aiProvider, onProgress } = deps;
+
+  const { prompts, promptVersions } = resolveHabitSeriesPrompts(
+    deps.promptRegistry ?? habitSeriesPromptRegistry,
+    userId
+  );
+
+  const traceId = activeTraceId();
+  const logger = (deps.logger ?? defaultLogger).child({ userId, seriesId, promptVersions, ...(traceId && { traceId }) });
+  const emit = createProgressEmitter(onProgress, logger);
+
+  if (!habitSeriesRepository || !energyRepository || !aiProvider) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 1: VALIDATION + CONTEXT + ENERGY RESERVATION
+  // ═══════════════════════════════════════════════════════════════════════
+
+  if (!payload?.instruction || !payload?.language) {
+    throw new ValidationError('Missing required payload fields');
+  }
+
+  if (!isSupportedLocale(payload.language)) {
+    throw new ValidationError(`Unsupported language "${payload.language}"`);
+  }
+
+  const language = normalizeLocale(payload.language);
+
+  const { assistantContext: instruction, report } = sanitizeUserInput(
+    { testData: {}, assistantContext: String(payload.instruction) },
+    { maxContextLength: MAX_INSTRUCTION_LENGTH }
+  );
+
+  if (report.changed) {
+    logger[hasRemovedInjections(report) ? 'warn' : 'info']('input.sanitized', { report });
+  }
+
+  if (!instruction) {
+    throw new ValidationError('instruction is empty after sanitization');
+  }
+
+  const current = await habitSeriesRepository.findById(userId, seriesId);
+  if (!current) return null;
+
+  const recent = await habitSeriesRepository.listActivity(userId, seriesId, { limit: RECENT_ACTIVITY_LIMIT });
+  const baseVersion = (await habitSeriesRepository.listVersions(userId, seriesId)).at(-1)?.version ?? 0;
+
+  const messages = prompts[HabitSeriesPromptKey.REFINE].build({
+    language,
+    series: toContentSnapshot(current),
+    activity: {
+      totalScore: current.totalScore,
+      rank: current.getRank(),
+      lastActivityAt: current.lastActivityAt.toISOString(),
+      recent
+    },
+    instruction,
+    maxActions: MAX_HABIT_SERIES_ACTIONS
+  });
+
+  const safetyPolicy = { ...CONTENT_SAFETY_POLICY, ...deps.contentSafetyPolicy };
+  const estimate = await estimatePipelineEnergy(messages, {
+    functionTypes: REFINEMENT_PASSES,
+    aiProvider,
+    followUpCalls: followUpCallBudget(safetyPolicy)
+  });
+  const reservation = await energyRepository.reserve(userId, estimate.amount, {
+    reason: 'HABIT_SERIES_REFINEMENT'
+  });
+  logger.info('energy.reserved', { reservationId: reservation.id, amount: estimate.amount });
+  emit('energy.reserved', { reservationId: reservation.id, amount: estimate.amount });
+
+  const aiDeps = { aiProvider, energyRepository, energyReservation: reservation, logger };
+
+  let result;
+  try {
+    result = await runRefinement(userId, current, messages, {
+      baseVersion,
+      language,
+      instruction,
+      prompts,
+      promptVersions,
+      languageDetector: deps.languageDetector ?? detectLanguage,
+      contentSafety: {
+        moderator: deps.contentModerator ?? moderateHabitSeries,
+        policy: safetyPolicy
+      },
+      habitSeriesRepository,
+      aiDeps,
+      emit
+    });
+  } catch (error) {
+    logger.error('habit_series.refine_failed', { error });
+
+    const mode = ENERGY_RESERVATION_POLICY.refundOnFailure;
+    try {
+      const refunded = await energyRepository.refund(reservation.id, { mode });
+      logger.info('energy.refunded', { reservationId: reservation.id, mode, amount: refunded.refunded });
+      emit('energy.refunded', { reservationId: reservation.id, mode, amount: refunded.refunded });
+    } catch (refundError) {
+      logger.error('energy.refund_failed', { reservationId: reservation.id, error: refundError });
+    }
+    throw error;
+  }
+
+  const settled = await energyRepository.settle(reservation.id);
+  logger.info('energy.settled', { reservationId: reservation.id, charged: settled.charged, reserved: settled.reserved });
+  emit('energy.settled', { reservationId: reservation.id, charged: settled.charged, refunded: settled.refunded });
+
+  return result;
+}
+
+/**
+ * Steps 2–4: refinement pass, guards and versioned merge.
+ */
+async function runRefinement(userId, current, messages, {
+  baseVersion,
+  language,
+  instruction,
+  prompts,
+  promptVersions,
+  languageDetector,
+  contentSafety,
+  habitSeriesRepository,
+  aiDeps,
+  emit
+}) {
+  const { logger } = aiDeps;
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 2: REFINEMENT PASS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const refineConfig = { ...getModelConfig('habit_series_refine'), functionType: 'habit_series_refine' };
+  emit('refine.started', { model: refineConfig.model });
+  const refineResponse = await generateAIResponse(userId, messages, refineConfig, aiDeps);
+  emit('refine.done', { model: refineResponse.model });
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 3: SAME GUARDS AS A NEW SERIES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const normalized = await normalizeAndValidate(
+    userId,
+    refineResponse.content,
+    prompts,
+    aiDeps,
+    emit,
+    HABIT_SERIES_REFINEMENT_SCHEMA
+  );
+  const source = { pass: 'json_conversion', model: normalized.model };
+  assertOutputLanguage(normalized.parsed, language, { languageDetector, logger }, source);
+  const parsed = await enforceContentSafety(userId, normalized.parsed, {
+    source,
+    prompts,
+    language,
+    languageDetector,
+    contentSafety,
+    aiDeps,
+    emit,
+    schema: HABIT_SERIES_REFINEMENT_SCHEMA
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 4: MERGE AS A NEW VERSION
+  // ═══════════════════════════════════════════════════════════════════════
+
+  return withSpan('persistence', {}, async (span) => {
+    const updated = await habitSeriesRepository.update(userId, current.id, (series, { latestVersion }) => {
+      if (latestVersion !== baseVersion) {
+        throw new SeriesRevisionConflictError({ expected: baseVersion, actual: latestVersion });
+      }
+
+      let next;
+      try {
+        next = series.revise(HabitSeries.fromAIOutput(parsed, series.id));
+      } catch (error) {
+        throw new AIContractViolationError(`AI output cannot be merged: ${error.message}`, {
+          violation: 'schema',
+          pass: source.pass,
+          model: source.model,
+          details: [{ path: '/actions', keyword: 'revision', message: error.message }]
+        });
+      }
+
+      return {
+        series: next,
+        versions: [
+          // The content before the first refinement becomes version 1, so it can be restored
+          ...(latestVersion === 0
+            ? [{ source: HabitSeriesVersionSource.GENERATED, content: toContentSnapshot(series) }]
+            : []),
+          {
+            source: HabitSeriesVersionSource.REFINED,
+            instruction,
+            promptVersions,
+            content: toContentSnapshot(next)
+          }
+        ]
+      };
+    });
+
+    if (!updated) {
+      // Deleted while the AI passes ran: same outcome as a missing series
+      return null;
+    }
+
+    const { series: next, versions } = updated;
+    const version = versions.at(-1).version;
+
+    span.setAttribute('habit_series.version', version);
+    logger.info('habit_series.refined', { version, actions: next.actions.length });
+    emit('refined', { version });
+
+    return { ...toSeriesView(next), version, promptVersions };
+  });
+}
+
+/**
+ * List the versions of a series, oldest first.
+ *
+ * A series that was never refined has no recorded versions yet.
+ *
+ * @param {string} userId
+ * @param {string} seriesId
+ * @param {Object} deps - { habitSeriesRepository }
+ * @returns {Promise<Object|null>} { seriesId, versions }, or null if the series is not found
+ */
+export async function listHabitSeriesVersions(userId, seriesId, deps) {
+  const { habitSeriesRepository } = deps;
+
+  if (!habitSeriesRepository) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  const series = await habitSeriesRepository.findById(userId, seriesId);
+  if (!series) return null;
+
+  const versions = await habitSeriesRepository.listVersions(userId, seriesId);
+  return { seriesId: series.id, versions: versions.map(toVersionView) };
+}
+
+/**
+ * Restore the content of an earlier version.
+ *
+ * The restore is itself recorded as a new version, so history stays
+ * linear and a restore can be undone like any other change.
+ *
+ * @param {string} userId
+ * @param {string} seriesId
+ * @param {number|string} version
+ * @param {Object} deps - { habitSeriesRepository, logger? }
+ * @returns {Promise<Object|null>} Restored series, or null if the series or version is not found
+ * @throws {ValidationError} when the restored content would move an existing action
+ */
+export async function restoreHabitSeriesVersion(userId, seriesId, version, deps) {
+  const { habitSeriesRepository } = deps;
+  const logger = (deps.logger ?? defaultLogger).child({ seriesId });
+
+  if (!habitSeriesRepository) {
+    throw new ValidationError('Missing required dependencies');
+  }
+
+  if (!/^\d+$/.test(String(version))) {
+    throw new ValidationError(`Invalid version "${version}"`);
+  }
+
+  const target = await habitSeriesRepository.getVersion(userId, seriesId, Number(version));
+  if (!target) return null;
+
+  // Applied on the current state: activity logged meanwhile is kept
+  const updated = await habitSeriesRepository.update(userId, seriesId, (series) => {
+    let next;
+    try {
+      next = series.revise(HabitSeries.fromAIOutput(target.content, series.id));
+    } catch (error) {
+      throw new ValidationError(`Version ${target.version} cannot be restored: ${error.message}`);
+    }
+
+    return {
+      series: next,
+      versions: [{
+        source: HabitSeriesVersionSource.RESTORED,
+        restoredFrom: target.version,
+        content: target.content
+      }]
+    };
+  });
+  if (!updated) return null;
+
+  const restored = updated.versions[0];
+  logger.info('habit_series.version_restored', { restoredFrom: target.version, version: restored.version });
+
+  return { ...toSeriesView(updated.series), version: restored.version };
+}
+
+/**
+ * Versioned content of a series, in the AI output contract shape.
+ */
+function toContentSnapshot(series) {
+  return {
+    title: series.title,
+    description: series.description,
+    actions: series.actions.map(action => ({
+      name: action.name,
+      description: action.description,
+      difficulty: String(action.difficulty)
+    }))
+  };
+}
+
+/**
+ * Public representation of a series.
+ */
+function toSeriesView(series) {
+  return {
+    id: series.id,
+    ...toContentSnapshot(series),
+    rank: series.getRank(),
+    totalScore: series.totalScore,
+    createdAt: series.createdAt.toISOString(),
+    lastActivityAt: series.lastActivityAt.toISOString()
+  };
+}
+
+/**
+ * Public representation of a version record.
+ */
+function toVersionView(record) {
+  return {
+    version: record.version,
+    source: record.source,
+    instruction: record.instruction ?? null,
+    restoredFrom: record.restoredFrom ?? null,
+    createdAt: record.createdAt,
+    content: record.content
+  };
+}
+
+export default { refineHabitSeries, listHabitSeriesVersions, restoreHabitSeriesVersion };
@@ -0,0 +1,88 @@
+/**
+ * Output Language Detection (Application Layer)
+ *
+ * Deterministic, dependency-free detector used to check that a validated
+ * habit series is written in the requested language BEFORE persistence.
+ *
+ * Method:
+ * - Count occurrences of very frequent function words (stopwords) of each
+ *   supported base language
+ * - The language with most hits wins, with a confidence equal to its
+ *   share of all hits
+ * - Texts with too few hits are reported as undetermined, never as a
+ *   mismatch: short or list-like content must not be rejected by guesswork
+ *
+ * Only base languages are detected (pt-BR and pt are both 'pt').
+ * The detector is injectable in the use case (deps.languageDetector) so a
+ * statistical or provider-based detector can replace it.
+ */
+
+/**
+ * Frequent function words per base language.
+ * Words shared by several languages (e.g. 'a', 'de', 'en') are omitted.
+ */
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'with', 'for', 'your', 'you', 'this', 'that', 'each', 'before', 'after', 'day', 'from', 'it', 'on', 'by', 'are'],
+  es: ['el', 'la', 'los', 'las', 'y', 'del', 'con', 'para', 'tu', 'una', 'cada', 'antes', 'después', 'día', 'que', 'es', 'por', 'su', 'al', 'lo'],
+  pt: ['o', 'os', 'as', 'e', 'do', 'da', 'dos', 'das', 'com', 'uma', 'cada', 'antes', 'depois', 'dia', 'seu', 'sua', 'você', 'não', 'ao', 'no', 'na'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'du', 'avec', 'pour', 'votre', 'vous', 'une', 'chaque', 'avant', 'après', 'jour', 'est', 'dans', 'sur', 'au', 'ce'],
+  de: ['der', 'die', 'das', 'und', 'mit', 'für', 'ihre', 'sie', 'eine', 'jeden', 'vor', 'nach', 'tag', 'ist', 'zu', 'auf', 'den', 'dem', 'nicht', 'ein'],
+  it: ['il', 'lo', 'gli', 'e', 'della', 'del', 'con', 'per', 'tuo', 'tua', 'una', 'ogni', 'prima', 'dopo', 'giorno', 'è', 'che', 'di', 'nel', 'alla'],
+};
+
+/**
+ * Stopword → languages containing it.
+ */
+const LOOKUP = new Map();
+for (const [lang, list] of Object.entries(STOPWORDS)) {
+  for (const word of list) {
+    LOOKUP.set(word, [...(LOOKUP.get(word) ?? []), lang]);
+  }
+}
+
+/**
+ * Minimum number of stopword hits to emit a verdict.
+ */
+const MIN_HITS = 8;
+
+/**
+ * @param {string} text
+ * @returns {{ language: string|null, confidence: number, hits: number }}
+ *   language is null when the text is too short to decide
+ */
+export function detectLanguage(text) {
+  const words = (text ?? '').toLowerCase().match(/\p{L}+/gu) ?? [];
+
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map(lang => [lang, 0]));
+
+  let hits = 0;
+  for (const word of words) {
+    const languages = LOOKUP.get(word);
+    if (!languages) continue;
+    hits++;
+    for (const lang of languages) scores[lang] += 1 / languages.length;
+  }
+
+  if (hits < MIN_HITS) {
+    return { language: null, confidence: 0, hits };
+  }
+
+  const [language, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return { language, confidence: Number((score / hits).toFixed(2)), hits };
+}
+
+/**
+ * Concatenate the user-facing text of a habit series output.
+ *
+ * @param {Object} series - { title, description, actions: [{ name, description }] }
+ * @returns {string}
+ */
+export function habitSeriesText(series) {
+  return [
+    series.title,
+    series.description,
+    ...(series.actions ?? []).flatMap(action => [action.name, action.description]),
+  ].filter(Boolean).join('\n');
+}
+
+export default { detectLanguage, habitSeriesText };
@@ -0,0 +1,156 @@
+/**
+ * Habit Series Content Moderation (Application Layer)
+ *
+ * Default, rule-based moderator for validated habit series output.
+ * It runs locally, costs no energy and is deterministic.
+ *
+ * Each rule targets one domain safety category and is either a pattern
+ * (always unsafe in a habit action, e.g. "dry fasting") or a pattern plus
+ * a threshold (e.g. a fast is only flagged above 24 hours). Threshold rules
+ * only match the phrasing they are about (a fast as a noun, a calorie
+ * figure stated as a daily intake), so ordinary advice is not flagged.
+ *
+ * Patterns cover English and Spanish. Other output languages are only
+ * caught by language-neutral rules (doses with units). The moderator is
+ * injectable in the use case (deps.contentModerator), so a provider
+ * moderation endpoint or a classifier can replace it.
+ *
+ * Moderator contract:
+ *   (series) => { flagged: boolean, flags: Array<ContentFlag> }   (may be async)
+ *
+ * Reference cases (keep them passing when a rule changes):
+ * - Not flagged: "Take fast walks 3 days a week", "Keep a fast pace for
+ *   2 hours on Sundays", "Walk 30 minutes to burn 300 calories", "Eat a
+ *   400 kcal breakfast", "Intermittent fasting for 16 hours, twice a week",
+ *   "Eat 2000 calories a day"
+ * - prolonged_fast: "Fast for 3 days with water only", "Try a 72-hour fast
+ *   once a month", "48 hours of fasting", "Ayuno de 2 días cada semana",
+ *   "48 horas de ayuno"
+ * - very_low_calorie: "Eat 800 calories per day", "Keep it to 600 kcal a
+ *   day", "Set a daily limit of 900 calories"
+ */
+
+import { ContentSafetyCategory } from '../../domain/policies/ContentSafetyPolicy.js';
+
+/**
+ * @typedef {Object} ContentFlag
+ * @property {string} path - JSON Pointer to the flagged field (e.g. '/actions/2/description')
+ * @property {string} category - ContentSafetyCategory value
+ * @property {string} rule - Name of the rule that matched
+ */
+
+const HOURS_PER_UNIT = { hour: 1, hora: 1, day: 24, 'día': 24, dia: 24 };
+
+/**
+ * Fasting is flagged above this duration (hours).
+ */
+const MAX_FASTING_HOURS = 24;
+
+/**
+ * Daily intakes below this value (kcal) are flagged.
+ */
+const MIN_DAILY_CALORIES = 1200;
+
+const RULES = [
+  {
+    // Noun forms only ("fast for", "fasting", "a 72-hour fast", "48 hours
+    // of fasting"), so that "fast walks 3 days a week" or "a fast pace" are
+    // not read as fasting
+    name: 'prolonged_fast',
+    category: ContentSafetyCategory.EXTREME_FASTING,
+    pattern: /\b(?:(?:fasting|fast\s+(?:for|of)|ayun(?:o|a|ar|es|ando)|(?:without|no|sin)\s+(?:eating|food|comer|comida))\b[^.\n]{0,30}?\b(\d+)\s*(hour|hora|day|día|dia)s?\b|(\d+)[- ]?(hour|hora|day|día|dia)s?\s+(?:(?:water\s+)?fast|of\s+(?:water\s+)?fasting|de\s+ayuno)\b)/gi,
+    exceeds: (match) => {
+      const [amount, unit] = match[1] ? [match[1], match[2]] : [match[3], match[4]];
+      return Number(amount) * HOURS_PER_UNIT[unit.toLowerCase()] > MAX_FASTING_HOURS;
+    },
+  },
+  {
+    name: 'dry_or_water_fast',
+    category: ContentSafetyCategory.EXTREME_FASTING,
+    pattern: /\b(?:dry|water|juice)[- ]fast(?:ing)?\b|\bayuno\s+(?:seco|de\s+agua|de\s+zumos?)\b/gi,
+  },
+  {
+    name: 'skip_all_meals',
+    category: ContentSafetyCategory.EXTREME_FASTING,
+    pattern: /\b(?:skip|stop eating)\s+(?:all|every)\s+meals?\b|\bno\s+comas\s+nada\b|\bsalta(?:r|te)?\s+todas\s+las\s+comidas\b/gi,
+  },
+  {
+    // Daily-intake phrasing only: "burn 300 calories" or "a 400 kcal
+    // breakfast" are not a daily intake
+    name: 'very_low_calorie',
+    category: ContentSafetyCategory.EXTREME_FASTING,
+    pattern: /\b(\d{3,4})\s*(?:kcal|calories|calorías|calorias)\s*(?:(?:per|a|each|every|por|al|cada)\s+(?:day|día|dia)\b|\/\s*(?:day|día|dia|d)\b|daily\b|diarias?\b)|\b(?:daily|per day|a day|diarias?)\s+(?:intake|limit|budget|total|máximo|de)?\s*(?:of\s+|de\s+)?(\d{3,4})\s*(?:kcal|calories|calorías|calorias)\b/gi,
+    exceeds: (match) => Number(match[1] ?? match[2]) < MIN_DAILY_CALORIES,
+  },
+  {
+    name: 'self_harm',
+    category: ContentSafetyCategory.SELF_HARM,
+    pattern: /\b(?:self[- ]harm|hurt yourself|cut yourself|punish yourself|starve yourself|autolesi\w*|hazte daño|lastímate|castígate)\b/gi,
+  },
+  {
+    name: 'purging',
+    category: ContentSafetyCategory.SELF_HARM,
+    pattern: /\b(?:make yourself (?:vomit|throw up)|induce vomiting|purg(?:e|ing)|provócate el vómito|vomitar después de comer)\b/gi,
+  },
+  {
+    name: 'dose',
+    category: ContentSafetyCategory.MEDICAL_DOSAGE,
+    pattern: /\b\d+(?:[.,]\d+)?\s*(?:mg|mcg|µg|iu|ui)\b/gi,
+  },
+  {
+    name: 'medication_change',
+    category: ContentSafetyCategory.MEDICAL_DOSAGE,
+    pattern: /\b(?:stop|quit|skip|replace|reduce)\s+(?:taking\s+)?(?:your\s+)?(?:medication|medicine|meds|pills|prescription)\b|\b(?:deja|abandona|sustituye|reduce)\s+(?:de\s+tomar\s+)?(?:tu|tus|la|las)?\s*(?:medicación|medicamentos?|pastillas)\b/gi,
+  },
+];
+
+/**
+ * Rules that match a text.
+ *
+ * @param {string} text
+ * @returns {Array<{ name: string, category: string }>}
+ */
+function matchRules(text) {
+  return RULES.filter(({ pattern, exceeds }) =>
+    [...text.matchAll(pattern)].some(match => !exceeds || exceeds(match))
+  );
+}
+
+/**
+ * User-facing fields of a series, located by JSON Pointer.
+ */
+function moderatedFields(series) {
+  return [
+    ['/title', series.title],
+    ['/description', series.description],
+    ...(series.actions ?? []).flatMap((action, index) => [
+      [`/actions/${index}/name`, action.name],
+      [`/actions/${index}/description`, action.description],
+    ]),
+  ];
+}
+
+/**
+ * @param {Object} series - Validated AI output { title, description, actions }
+ * @returns {{ flagged: boolean, flags: Array<ContentFlag> }}
+ */
+export function moderateHabitSeries(series) {
+  const flags = moderatedFields(series).flatMap(([path, text]) =>
+    matchRules(String(text ?? '')).map(({ name, category }) => ({ path, category, rule: name }))
+  );
+
+  return { flagged: flags.length > 0, flags };
+}
+
+/**
+ * Index of the action a flag points to, or null for series-level fields.
+ *
+ * @param {ContentFlag} flag
+ * @returns {number|null}
+ */
+export function flaggedActionIndex(flag) {
+  const match = /^\/actions\/(\d+)\//.exec(flag.path);
+  return match ? Number(match[1]) : null;
+}
+
+export default moderateHabitSeries;
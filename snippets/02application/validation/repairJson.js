@@ -0,0 +1,170 @@
+/**
+ * Local JSON Repair (Application Layer)
+ *
+ * Deterministic, offline fixes for the most common ways an LLM breaks JSON:
+ * - Wrapping the document in markdown code fences (```json ... ```)
+ * - Adding prose before or after the document
+ * - Leaving trailing commas before a closing bracket
+ * - Stopping mid-document (token limit), leaving arrays/objects unclosed
+ *
+ * These fixes are attempted BEFORE spending another AI call on repair.
+ * They never invent content: a truncated trailing element is dropped,
+ * not completed. The result is still untrusted and must be validated.
+ */
+
+/**
+ * Remove markdown fences and any prose around the outermost JSON value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function extractJsonBody(text) {
+  let body = text.trim();
+
+  const fenced = body.match(/```(?:json|JSON)?\s*([\s\S]*?)(?:```|$)/);
+  if (fenced) body = fenced[1].trim();
+
+  const start = body.search(/[{[]/);
+  if (start > 0) body = body.slice(start);
+
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+  const balanced = scan(body).stack.length === 0;
+  if (balanced && end !== -1 && end < body.length - 1) body = body.slice(0, end + 1);
+
+  return body;
+}
+
+/**
+ * Walk the text once, tracking string state and open containers.
+ *
+ * @param {string} text
+ * @returns {{ stack: Array<string>, inString: boolean, cuts: Array<{ index: number, stack: Array<string> }> }}
+ *   cuts: positions right after a nested container closed, with the
+ *   containers still open at that point (used to drop truncated tails)
+ */
+function scan(text) {
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length > 0) cuts.push({ index: i + 1, stack: [...stack] });
+    }
+  }
+
+  return { stack, inString, cuts };
+}
+
+/**
+ * Remove commas that directly precede a closing bracket (outside strings).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      result += char;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+
+    if (char === ',') {
+      const next = text.slice(i + 1).match(/^\s*(.)/);
+      if (next && (next[1] === '}' || next[1] === ']')) continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Close a truncated document by cutting back to the last complete nested
+ * element and appending the missing closing brackets.
+ *
+ * @param {string} text
+ * @returns {string|null} null when the document is not truncated
+ */
+function closeTruncated(text) {
+  const { stack, inString, cuts } = scan(text);
+  if (stack.length === 0 && !inString) return null;
+
+  const lastCut = cuts[cuts.length - 1];
+  if (!lastCut) return null;
+
+  const head = text.slice(0, lastCut.index).replace(/,\s*$/, '');
+  return head + [...lastCut.stack].reverse().join('');
+}
+
+/**
+ * Try to parse AI output as JSON, applying local fixes when needed.
+ *
+ * @param {string} text - Raw AI output
+ * @returns {{ ok: boolean, value?: *, fixes: Array<string>, error?: string }}
+ */
+export function parseJsonWithRepair(text) {
+  if (typeof text !== 'string') {
+    return { ok: true, value: text, fixes: [] };
+  }
+
+  try {
+    return { ok: true, value: JSON.parse(text), fixes: [] };
+  } catch {
+    // fall through to local repair
+  }
+
+  const fixes = [];
+  let candidate = extractJsonBody(text);
+  if (candidate !== text.trim()) fixes.push('strip_wrapping');
+
+  const withoutCommas = removeTrailingCommas(candidate);
+  if (withoutCommas !== candidate) fixes.push('trailing_commas');
+  candidate = withoutCommas;
+
+  let parseError;
+  try {
+    return { ok: true, value: JSON.parse(candidate), fixes };
+  } catch (error) {
+    parseError = error.message;
+  }
+
+  const closed = closeTruncated(candidate);
+  if (closed !== null) {
+    try {
+      return { ok: true, value: JSON.parse(removeTrailingCommas(closed)), fixes: [...fixes, 'close_truncated'] };
+    } catch {
+      // unrecoverable locally
+    }
+  }
+
+  return { ok: false, fixes, error: parseError };
+}
+
+export default parseJsonWithRepair;
@@ -0,0 +1,220 @@
+/**
+ * User Input Sanitization (Application Layer)
+ *
+ * Free-text user input (test answers and assistant context) is
+ * interpolated into the prompts. It is sanitized ONCE, before the
+ * creative pass, so every later pass only sees controlled input.
+ *
+ * Stages, applied in order to every key and value:
+ * 1. Control characters   → removed (incl. zero-width and bidi overrides)
+ * 2. Prompt delimiters    → neutralized (separator runs, code fences,
+ *                           role tags such as [SYSTEM INSTRUCTIONS] or <|im_start|>)
+ * 3. Injection patterns   → replaced by a marker ("ignore previous instructions"...);
+ *                           lower-confidence patterns are only reported
+ * 4. PII                  → redacted (emails, card numbers, phone numbers)
+ * 5. Length limits        → values truncated, extra answers dropped
+ *
+ * Every change is recorded in a report, so the use case can log what
+ * happened (and reject the request if its policy says so) without ever
+ * logging the raw input.
+ *
+ * Detection is pattern-based: it raises the cost of an attack, it does not
+ * make the model immune. Output validation remains the final authority.
+ */
+
+export const SANITIZATION_LIMITS = Object.freeze({
+  maxAnswers: 20,
+  maxKeyLength: 200,
+  maxAnswerLength: 1000,
+  maxContextLength: 4000,
+});
+
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+const DELIMITERS = [
+  { name: 'separator', pattern: /-{3,}|={3,}|_{3,}|#{3,}|\*{3,}/g, replace: () => ' ' },
+  { name: 'code_fence', pattern: /`{3,}/g, replace: () => "'" },
+  { name: 'role_tag', pattern: /\[\s*(system instructions|system|assistant|user|instructions?)\s*\]/gi, replace: (_, role) => `(${role})` },
+  { name: 'chat_token', pattern: /<\|?\/?\s*(im_start|im_end|system|assistant|user|endoftext)\s*\|?>/gi, replace: (_, role) => `(${role})` },
+];
+
+// Instruction targets: a role override only counts when it addresses the model
+const MODEL_TARGET = String.raw`(?:an?\s+|the\s+|un\s+|una\s+|el\s+)?(?:ai|assistant|chatbot|system|model|language model|llm|gpt|asistente|modelo|sistema)\b`;
+
+// Second-person phrasings that re-assign the role of the model ("act as" alone
+// also describes the user: "I want to act as an assistant coach")
+const ROLE_ADDRESS = String.raw`(?:you are now|you're now|from now on,?\s+you(?: are|'re| will be)|pretend (?:that\s+)?you(?: are|'re)|you (?:must|will|should) (?:now\s+)?act as|eres ahora|ahora eres|a partir de ahora eres|finge que eres)`;
+
+/**
+ * action:
+ * - 'remove': high confidence, the match is replaced by INJECTION_MARKER
+ * - 'flag':   lower confidence, reported only; the text is left untouched,
+ *             since ordinary answers can look similar
+ *
+ * 'remove' patterns require the instruction target right after the verb
+ * ("ignore all previous instructions"), so answers such as "I forget all the
+ * rules of my diet" keep their wording.
+ */
+const INJECTION_PATTERNS = [
+  { name: 'ignore_instructions', action: 'remove', pattern: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+(?:of\s+)?)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding|system)\s+(?:instructions?|prompts?|rules|constraints)\b/gi },
+  { name: 'ignore_instructions_es', action: 'remove', pattern: /\b(?:ignora|olvida|omite)\s+(?:todas\s+)?(?:las\s+|tus\s+)?(?:instrucciones|reglas|indicaciones)\s+(?:anteriores|previas|del sistema)\b/gi },
+  { name: 'role_override', action: 'remove', pattern: new RegExp(String.raw`\b${ROLE_ADDRESS}\s+${MODEL_TARGET}[^.\n]{0,60}`, 'gi') },
+  { name: 'prompt_exfiltration', action: 'flag', pattern: /\b(?:reveal|print|show|repeat|muestra|revela)\b[^.\n]{0,30}\b(?:system prompt|your (?:instructions|prompt)|tus instrucciones|instrucciones del sistema)\b/gi },
+  { name: 'output_override', action: 'flag', pattern: /\b(respond|reply|answer|output|responde)\b[^.\n]{0,20}\b(only|solo)\s+(with|in|using|con|en)\b[^.\n]{0,40}/gi },
+];
+
+export const INJECTION_MARKER = '[removed]';
+
+const countDigits = (text) => text.replace(/\D/g, '').length;
+
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, accept: () => true, replacement: '[EMAIL]' },
+  // Cards before phones: both are digit runs, cards are longer
+  { type: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, accept: () => true, replacement: '[CARD]' },
+  // At least 9 digits, so dates and small quantities are left alone
+  { type: 'phone', pattern: /(?<!\w)\+?\d[\d\s().-]{7,}\d(?!\w)/g, accept: (match) => countDigits(match) >= 9, replacement: '[PHONE]' },
+];
+
+/**
+ * Replace every match of a pattern and count the replacements.
+ * `replace` may return the match unchanged to skip it.
+ */
+function replaceCounting(text, pattern, replace) {
+  let count = 0;
+  const result = text.replace(pattern, (...args) => {
+    const replacement = replace(...args);
+    if (replacement !== args[0]) count++;
+    return replacement;
+  });
+  return { result, count };
+}
+
+/**
+ * Sanitize one string, appending its changes to the report.
+ *
+ * @param {string} value
+ * @param {string} path - Report location (e.g. 'testData/What habit?', 'assistantContext')
+ * @param {number} maxLength
+ * @param {Object} report
+ * @returns {string}
+ */
+function sanitizeText(value, path, maxLength, report) {
+  let text = String(value ?? '').normalize('NFC');
+
+  const withoutControls = text.replace(CONTROL_CHARS, '');
+  if (withoutControls.length !== text.length) {
+    report.controlCharsRemoved.push({ path, count: text.length - withoutControls.length });
+    text = withoutControls;
+  }
+
+  for (const { name, pattern, replace } of DELIMITERS) {
+    const { result, count } = replaceCounting(text, pattern, replace);
+    if (count > 0) {
+      report.delimitersNeutralized.push({ path, kind: name, count });
+      text = result;
+    }
+  }
+
+  for (const { name, action, pattern } of INJECTION_PATTERNS) {
+    if (action === 'flag') {
+      const count = text.match(pattern)?.length ?? 0;
+      if (count > 0) report.injectionsDetected.push({ path, pattern: name, count, action: 'flagged' });
+      continue;
+    }
+
+    const { result, count } = replaceCounting(text, pattern, () => INJECTION_MARKER);
+    if (count > 0) {
+      report.injectionsDetected.push({ path, pattern: name, count, action: 'removed' });
+      text = result;
+    }
+  }
+
+  for (const { type, pattern, accept, replacement } of PII_PATTERNS) {
+    const { result, count } = replaceCounting(text, pattern, (match) => (accept(match) ? replacement : match));
+    if (count > 0) {
+      report.piiRedacted.push({ path, type, count });
+      text = result;
+    }
+  }
+
+  text = text.replace(/[ \t]{2,}/g, ' ').trim();
+
+  if (text.length > maxLength) {
+    report.truncated.push({ path, from: text.length, to: maxLength });
+    text = text.slice(0, maxLength).trimEnd();
+  }
+
+  return text;
+}
+
+/**
+ * @param {Object} input
+ * @param {Record<string, string>} input.testData - Test answers keyed by question
+ * @param {string} [input.assistantContext]
+ * @param {Object} [limits] - Overrides of SANITIZATION_LIMITS
+ * @returns {{ testData: Record<string, string>, assistantContext: string, report: Object }}
+ *   report: { changed, controlCharsRemoved, delimitersNeutralized, injectionsDetected,
+ *             piiRedacted, truncated, keysDeduplicated, droppedAnswers }
+ *   injectionsDetected entries carry action 'removed' or 'flagged' (text kept)
+ */
+export function sanitizeUserInput({ testData, assistantContext }, limits = {}) {
+  const { maxAnswers, maxKeyLength, maxAnswerLength, maxContextLength } = { ...SANITIZATION_LIMITS, ...limits };
+
+  const report = {
+    changed: false,
+    controlCharsRemoved: [],
+    delimitersNeutralized: [],
+    injectionsDetected: [],
+    piiRedacted: [],
+    truncated: [],
+    keysDeduplicated: [],
+    droppedAnswers: 0,
+  };
+
+  const entries = Object.entries(testData ?? {});
+  report.droppedAnswers = Math.max(entries.length - maxAnswers, 0);
+
+  const sanitizedTestData = {};
+  entries.slice(0, maxAnswers).forEach(([key, value], index) => {
+    const baseKey = sanitizeText(key, `testData/${index}/question`, maxKeyLength, report) || `question_${index + 1}`;
+
+    // Distinct questions may sanitize to the same key ('Q---' and 'Q'):
+    // suffix the later ones so no answer is silently overwritten
+    let cleanKey = baseKey;
+    for (let n = 2; Object.hasOwn(sanitizedTestData, cleanKey); n++) {
+      cleanKey = `${baseKey} (${n})`;
+    }
+    if (cleanKey !== baseKey) {
+      report.keysDeduplicated.push({ path: `testData/${index}/question`, key: cleanKey });
+    }
+
+    sanitizedTestData[cleanKey] = sanitizeText(value, `testData/${index}/answer`, maxAnswerLength, report);
+  });
+
+  const sanitizedContext = assistantContext
+    ? sanitizeText(assistantContext, 'assistantContext', maxContextLength, report)
+    : '';
+
+  report.changed = report.droppedAnswers > 0 || [
+    report.controlCharsRemoved,
+    report.delimitersNeutralized,
+    report.injectionsDetected,
+    report.piiRedacted,
+    report.truncated,
+    report.keysDeduplicated,
+  ].some(list => list.length > 0);
+
+  return { testData: sanitizedTestData, assistantContext: sanitizedContext, report };
+}
+
+/**
+ * True when the report contains high-confidence injections (text removed).
+ *
+ * @param {Object} report
+ * @returns {boolean}
+ */
+export function hasRemovedInjections(report) {
+  return report.injectionsDetected.some(entry => entry.action === 'removed');
+}
+
+export default sanitizeUserInput;
@@ -0,0 +1,168 @@
+/**
+ * Schema Validator (Application Layer)
+ *
+ * Minimal, dependency-free runtime validator for the JSON Schema subset
+ * used by AI output contracts.
+ *
+ * Supported keywords:
+ * - type (object, array, string, number, integer, boolean, null)
+ * - required, properties, additionalProperties (boolean)
+ * - items, minItems, maxItems
+ * - minLength, maxLength, pattern, enum
+ * - minimum, maximum
+ *
+ * Unlike a fail-fast check, validation always walks the whole document
+ * and returns EVERY violation, each one located by a JSON Pointer
+ * (RFC 6901) such as `/actions/2/difficulty`.
+ *
+ * Unsupported keywords are ignored on purpose: the schema is also sent to
+ * the AI as guidance, and may carry descriptive fields for that purpose.
+ */
+
+/**
+ * @typedef {Object} SchemaViolation
+ * @property {string} path - JSON Pointer to the offending value ('' = root)
+ * @property {string} keyword - Schema keyword that failed
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * Escape a single JSON Pointer reference token.
+ *
+ * @param {string|number} token
+ * @returns {string}
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+function visit(value, schema, path, errors) {
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      fail('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      // Nested keywords are meaningless on a value of the wrong type
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must contain at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        visit(item, schema.items, `${path}/${index}`, errors);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties ?? {};
+
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        errors.push({
+          path: `${path}/${escapePointerToken(key)}`,
+          keyword: 'required',
+          message: 'is required',
+        });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (key in value) {
+        visit(value[key], propertySchema, `${path}/${escapePointerToken(key)}`, errors);
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) {
+          errors.push({
+            path: `${path}/${escapePointerToken(key)}`,
+            keyword: 'additionalProperties',
+            message: 'is not allowed',
+          });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @returns {{ valid: boolean, errors: Array<SchemaViolation> }}
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  visit(value, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Render violations as a single line, e.g. for error messages.
+ *
+ * @param {Array<SchemaViolation>} errors
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(e => `${e.path || '/'} ${e.message}`).join('; ');
+}
+
+export default validateSchema;
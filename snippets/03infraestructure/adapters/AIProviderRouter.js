@@ -15,25 +15,301 @@
  * - Centralize provider selection and fail fast on unsupported models
  *
  * Model routing strategy:
- * - 'gpt-*' or 'o1-*'    → OpenAIAdapter
- * - 'gemini-*'           → GeminiAdapter
+ * - Providers are held in a ProviderRegistry and matched by prefix or regex
+ * - Aliases (e.g. 'fast' → 'gemini-2.5-flash') are resolved before matching
+ * - New providers (Anthropic, Ollama, Azure OpenAI...) are added through
+ *   registerProvider() without editing the router
  *
- * Unknown model prefixes result in an explicit error.
+ * Default registrations:
+ * - 'gpt-*' or 'o1-*'      → OpenAIAdapter
+ * - 'gemini-*'             → GeminiAdapter
+ * - 'stub-*' or 'local-*'  → StubAIAdapter (offline, deterministic)
+ *
+ * Unknown model prefixes result in an explicit error (ModelNotSupportedError).
+ *
+ * Fallback and retry:
+ * - options.fallbacks declares an ordered list of models to try after the
+ *   requested one (sourced from the pass policy)
+ * - options.retry declares how transient errors (429, 5xx, timeouts) are
+ *   retried on each model, with exponential backoff and jitter
+ * - The response reports the model that actually answered, the requested
+ *   model and every attempt made along the way
+ * - Streamed calls (options.onDelta) may have forwarded part of an attempt
+ *   that then failed: options.onStreamReset({ model }) is called before the
+ *   next attempt streams, so listeners can discard what they received
+ * - When the whole chain fails, the last error is surfaced as a typed
+ *   provider error (unavailable, rate limited or rejected) carrying every
+ *   attempt, see application/errors/PipelineErrors.js. A last error that
+ *   is not a provider failure (a bug) is rethrown untyped
+ *
+ * Health and circuit breaking:
+ * - Every provider call reports its outcome and latency to a ModelHealthTracker;
+ *   only transient failures count as failures, other errors are ignored
+ * - Models whose circuit is open are skipped (no retries, straight to the
+ *   next fallback) until a half-open probe succeeds
+ * - getHealth() exposes a per-model snapshot for ops endpoints
+ *
+ * Response cache:
+ * - Deterministic calls (temperature 0, no streaming) are looked up in a
+ *   ResponseCache before any provider is contacted
+ * - A hit skips routing entirely and is returned with `cached: true` and
+ *   `energyConsumed: 0`; only successful responses of the requested model
+ *   are stored (a fallback answer must not be served as the primary one
+ *   once the primary recovers)
+ * - getCacheStats() exposes hit / miss counters for ops endpoints
+ *
+ * Energy:
+ * - Adapters that do not report energyConsumed (e.g. OpenAI) get it computed
+ *   here with calculateEnergy, from the usage they return or, without
+ *   usage, from a local token count
+ *
+ * Logging:
+ * - Records go through the logger port: options.logger for per-call records
+ *   (already bound to the request id, user and pass by the caller), the
+ *   router logger for registration events
+ *
+ * Tracing:
+ * - Each callAI() runs in an `ai.router.call` span (requested model,
+ *   fallback chain, model that answered, number of attempts)
+ * - Each provider attempt runs in a child `ai.provider.call` span tagged
+ *   with provider, model, temperature, token usage and energy
+ *
+ * Offline mode:
+ * - When constructed with { forceStub: true } (or AI_PROVIDER_MODE=stub),
+ *   every model is routed to the stub adapter. This lets the unchanged
+ *   model policies run end to end without network or provider keys.
  */
 
 import { GeminiAdapter } from './gemini/GeminiAdapter.js';
 import { OpenAIAdapter } from './openai/OpenAIAdapter.js';
+import { StubAIAdapter, STUB_MODEL_PREFIXES } from './stub/StubAIAdapter.js';
+import { ProviderRegistry } from './ProviderRegistry.js';
+import { DEFAULT_RETRY_POLICY, withRetry, sleep, isTransientAIError, isRateLimitAIError, isRejectedAIError } from './RetryPolicy.js';
+import { ModelHealthTracker } from './ModelHealthTracker.js';
+import { ResponseCache } from './ResponseCache.js';
+import { countTokens, resolveTokenUsage } from './TokenUsage.js';
+import { getModelConfig } from '../../domain/policies/ModelSelectionPolicy.js';
+import { calculateEnergy } from '../../domain/policies/EnergyPricingPolicy.js';
 import { IAIProvider } from '../../domain/ports/IAIProvider.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+import {
+  ProviderUnavailableError,
+  ProviderRateLimitedError,
+  ProviderRequestRejectedError,
+  ModelNotSupportedError
+} from '../../application/errors/PipelineErrors.js';
+import { withSpan, responseAttributes, SpanAttributes } from '../../application/tracing/Tracing.js';
+
+/**
+ * Model used when a call does not name one.
+ */
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Aliases registered by default.
+ */
+export const DEFAULT_MODEL_ALIASES = {
+  fast: 'gemini-2.5-flash',
+  smart: 'gemini-2.5-pro',
+  json: 'gpt-4o-mini',
+};
+
+/**
+ * Fill in the energy of a response whose adapter did not report it
+ * (e.g. OpenAI), so every provider is billed through the same pricing table.
+ *
+ * Token counts come from the response usage (already normalized, or raw
+ * provider metadata), else from the local tokenizer or the heuristic.
+ *
+ * @param {Object} response - Adapter response
+ * @param {Object} call - { model, functionType, messages }
+ * @returns {Promise<Object>} Response with energyConsumed, tokensUsed and usage
+ */
+async function withEnergy(response, { model, functionType, messages }) {
+  if (typeof response.energyConsumed === 'number') return response;
+
+  const usage = typeof response.usage?.promptTokens === 'number'
+    ? response.usage
+    : await resolveTokenUsage({
+      providerUsage: response.usage,
+      prompt: messages.map(m => m.content).join('\n\n'),
+      completion: response.content,
+    });
+
+  return {
+    ...response,
+    usage,
+    tokensUsed: response.tokensUsed ?? usage.completionTokens,
+    energyConsumed: calculateEnergy({
+      model,
+      functionType,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+    }),
+  };
+}
+
+/**
+ * Whether a failed provider call counts against the model health.
+ *
+ * Only transient failures (outage, 5xx, throttling, timeout) say the model
+ * is unhealthy. A rejected request or a bug in the caller would otherwise
+ * open the circuit of a healthy model.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isHealthFailure(error) {
+  return error instanceof ProviderUnavailableError
+    || error instanceof ProviderRateLimitedError
+    || isTransientAIError(error);
+}
+
+/**
+ * Typed error for an exhausted fallback chain, classified from the last error.
+ *
+ * Errors already typed by an adapter keep their class; open circuits and
+ * transient failures mean the provider is unavailable, and an HTTP 4xx
+ * answer means it rejected the request. Anything else did not come from
+ * the provider (e.g. a TypeError in an adapter) and is returned as is,
+ * so it is reported as INTERNAL_ERROR rather than blamed on the provider.
+ *
+ * @param {Error} lastError
+ * @param {Object} context - { message, model, pass }
+ * @returns {Error} PipelineError subclass, or lastError when it cannot be classified
+ */
+function providerFailure(lastError, { message, model, pass }) {
+  const options = { model, pass, cause: lastError };
+
+  if (lastError instanceof ModelNotSupportedError) {
+    return new ModelNotSupportedError(message, options);
+  }
+  if (lastError instanceof ProviderRateLimitedError || isRateLimitAIError(lastError)) {
+    return new ProviderRateLimitedError(message, { ...options, retryAfterSeconds: lastError.retryAfterSeconds ?? null });
+  }
+  if (lastError instanceof ProviderRequestRejectedError || isRejectedAIError(lastError)) {
+    return new ProviderRequestRejectedError(message, options);
+  }
+  if (lastError instanceof ProviderUnavailableError || lastError?.code === 'CIRCUIT_OPEN' || isTransientAIError(lastError)) {
+    return new ProviderUnavailableError(message, options);
+  }
+  return lastError;
+}
 
 /**
  * Concrete router implementing the IAIProvider port.
  * Internally delegates calls to the appropriate provider adapter.
  */
 export class AIProviderRouter extends IAIProvider {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.registerDefaults] - Register Gemini, OpenAI and stub providers (default: true)
+   * @param {Object<string, string>} [options.aliases] - Additional model aliases
+   * @param {StubAIAdapter} [options.stubAdapter] - Custom stub (e.g. with test fixtures)
+   * @param {boolean} [options.forceStub] - Route every model to the stub adapter
+   * @param {Function} [options.sleep] - Injectable backoff delay (tests)
+   * @param {Function} [options.random] - Injectable jitter source (tests)
+   * @param {ModelHealthTracker} [options.healthTracker] - Custom tracker (thresholds, clock)
+   * @param {ResponseCache|null} [options.responseCache] - Custom cache (backend, TTL); null disables caching
+   * @param {Object} [options.logger] - Logger port (default: process-wide JSON logger)
+   */
+  constructor({
+    registerDefaults = true,
+    aliases = {},
+    stubAdapter,
+    forceStub,
+    sleep: wait = sleep,
+    random = Math.random,
+    healthTracker,
+    responseCache,
+    logger = defaultLogger,
+  } = {}) {
     super();
-    this.geminiAdapter = new GeminiAdapter();
-    this.openaiAdapter = new OpenAIAdapter();
+    this.logger = logger.child({ component: 'AIRouter' });
+    this.registry = new ProviderRegistry();
+    this.health = healthTracker ?? new ModelHealthTracker({}, undefined, logger);
+    this.cache = responseCache === undefined ? new ResponseCache({ logger }) : responseCache;
+    this.sleep = wait;
+    this.random = random;
+    this.stubAdapter = stubAdapter ?? new StubAIAdapter();
+    this.forceStub = forceStub ?? process.env.AI_PROVIDER_MODE === 'stub';
+
+    if (registerDefaults) {
+      this.registry
+        .register('openai', new OpenAIAdapter(), { prefixes: ['gpt-', 'o1-'] })
+        .register('gemini', new GeminiAdapter(), { prefixes: ['gemini-'] });
+
+      for (const [alias, model] of Object.entries(DEFAULT_MODEL_ALIASES)) {
+        this.registry.alias(alias, model);
+      }
+    }
+
+    this.registry.register('stub', this.stubAdapter, { prefixes: STUB_MODEL_PREFIXES });
+
+    for (const [alias, model] of Object.entries(aliases)) {
+      this.registry.alias(alias, model);
+    }
+  }
+
+  /**
+   * Register a provider adapter.
+   *
+   * @param {string} name - Unique provider name (e.g. 'anthropic')
+   * @param {Object} adapter - IAIProvider implementation
+   * @param {Object} matchers - { prefixes?: string[], patterns?: RegExp[] }
+   * @returns {AIProviderRouter}
+   */
+  registerProvider(name, adapter, matchers) {
+    this.registry.register(name, adapter, matchers);
+    this.logger.info('ai.provider.registered', { provider: name });
+    return this;
+  }
+
+  /**
+   * Remove a previously registered provider.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  unregisterProvider(name) {
+    const removed = this.registry.unregister(name);
+    if (removed) this.logger.info('ai.provider.unregistered', { provider: name });
+    return removed;
+  }
+
+  /**
+   * Register a model alias (e.g. 'fast' → 'gemini-2.5-flash').
+   *
+   * @param {string} alias
+   * @param {string} model
+   * @returns {AIProviderRouter}
+   */
+  registerAlias(alias, model) {
+    this.registry.alias(alias, model);
+    return this;
+  }
+
+  /**
+   * Remove a model alias.
+   *
+   * @param {string} alias
+   * @returns {boolean}
+   */
+  unregisterAlias(alias) {
+    return this.registry.removeAlias(alias);
+  }
+
+  /**
+   * Resolves a model identifier (or alias) to a concrete model name.
+   *
+   * @param {string} model
+   * @returns {string}
+   */
+  resolveModel(model) {
+    if (!model || typeof model !== 'string') {
+      throw new ModelNotSupportedError('Model name is required');
+    }
+    return this.registry.resolveAlias(model);
   }
 
   /**
@@ -41,29 +317,42 @@ export class AIProviderRouter extends IAIProvider {
    *
    * This method centralizes provider selection logic and enforces
    * explicit handling of supported model families.
+   *
+   * @param {string} model
+   * @param {Object} [logger] - Per-call logger (default: router logger)
    */
-  getAdapterForModel(model) {
-    if (!model || typeof model !== 'string') {
-      throw new Error('INVALID_MODEL: Model name is required');
-    }
+  getAdapterForModel(model, logger = this.logger) {
+    const resolved = this.resolveModel(model);
 
-    // OpenAI models
-    if (model.startsWith('gpt-') || model.startsWith('o1-')) {
-      console.log(`🔀 [AIRouter] Routing to OpenAIAdapter for model: ${model}`);
-      return this.openaiAdapter;
+    // Offline mode: every model is served by the stub
+    if (this.forceStub) {
+      logger.info('ai.route.resolved', { model: resolved, provider: 'stub', forced: true });
+      return this.stubAdapter;
     }
 
-    // Gemini models
-    if (model.startsWith('gemini-')) {
-      console.log(`🔀 [AIRouter] Routing to GeminiAdapter for model: ${model}`);
-      return this.geminiAdapter;
-    }
+    const provider = this.registry.find(resolved);
 
     // Fail-fast on unknown model families
-    throw new Error(
-      `UNKNOWN_MODEL_PROVIDER: No adapter configured for model "${model}". ` +
-      `Expected prefix: 'gpt-', 'o1-', or 'gemini-'`
-    );
+    if (!provider) {
+      throw new ModelNotSupportedError(
+        `No adapter configured for model "${resolved}". Registered providers: ${this.registry.describe()}`,
+        { model: resolved }
+      );
+    }
+
+    logger.info('ai.route.resolved', { model: resolved, provider: provider.name });
+    return provider.adapter;
+  }
+
+  /**
+   * Name of the provider serving a model (e.g. for per-provider limits).
+   *
+   * @param {string} model - Model identifier or alias
+   * @returns {string|null} null when no provider serves the model
+   */
+  resolveProviderName(model) {
+    if (this.forceStub) return 'stub';
+    return this.registry.find(this.resolveModel(model))?.name ?? null;
   }
 
   /**
@@ -71,11 +360,221 @@ export class AIProviderRouter extends IAIProvider {
    *
    * The router itself remains agnostic of prompt semantics,
    * energy accounting, or domain rules.
+   *
+   * The requested model is tried first, then each entry of options.fallbacks
+   * in order. Transient errors are retried on the same model before falling
+   * back; permanent errors move on to the next model immediately.
+   *
+   * Deterministic calls are served from the response cache when possible.
+   *
+   * @returns {Promise<Object>} { content, model, tokensUsed, energyConsumed, requestedModel, attempts, cached? }
    */
   async callAI(userId, messages, options = {}) {
-    const { model = 'gemini-2.5-flash' } = options;
-    const adapter = this.getAdapterForModel(model);
-    return adapter.callAI(userId, messages, options);
+    const spanAttributes = {
+      [SpanAttributes.REQUEST_MODEL]: options.model,
+      [SpanAttributes.FUNCTION_TYPE]: options.functionType,
+      'ai.fallbacks': options.fallbacks?.length ?? 0,
+    };
+
+    return withSpan('ai.router.call', spanAttributes, async (span) => {
+      // Cache entries are keyed by the concrete model, never by an alias
+      const cacheOptions = { ...options, model: this.resolveModel(options.model ?? DEFAULT_MODEL) };
+
+      const hit = await this.cache?.get(messages, cacheOptions);
+      if (hit) {
+        (options.logger ?? this.logger).info('ai.cache.hit', { model: hit.model, cachedAt: hit.cachedAt });
+        span.setAttributes({ [SpanAttributes.RESPONSE_MODEL]: hit.model, [SpanAttributes.CACHE_HIT]: true });
+        return hit;
+      }
+
+      const response = await this.#route(userId, messages, options);
+      if (response.model === response.requestedModel) {
+        await this.cache?.set(messages, cacheOptions, response);
+      }
+
+      span.setAttributes({
+        [SpanAttributes.RESPONSE_MODEL]: response.model,
+        [SpanAttributes.ATTEMPTS]: response.attempts.length,
+        [SpanAttributes.CACHE_HIT]: false,
+        'ai.fallback_used': response.model !== response.requestedModel,
+      });
+      return response;
+    });
+  }
+
+  /**
+   * Fallback chain walk behind callAI().
+   */
+  async #route(userId, messages, options) {
+    const {
+      model = DEFAULT_MODEL,
+      fallbacks = [],
+      retry = DEFAULT_RETRY_POLICY,
+      logger: callLogger,
+      onDelta,
+      onStreamReset,
+      ...callOptions
+    } = options;
+
+    const logger = (callLogger ?? this.logger).child({ component: 'AIRouter' });
+
+    const chain = [...new Set([model, ...fallbacks].map(m => this.resolveModel(m)))];
+    const attempts = [];
+    let lastError;
+
+    // Deltas already forwarded belong to the attempt that produced them
+    let streamed = false;
+    const streamOptions = typeof onDelta === 'function'
+      ? { onDelta: (text) => { streamed = true; onDelta(text); } }
+      : {};
+    const startAttempt = (candidate) => {
+      if (!streamed) return;
+      streamed = false;
+      onStreamReset?.({ model: candidate });
+    };
+
+    for (const candidate of chain) {
+      try {
+        const adapter = this.getAdapterForModel(candidate, logger);
+        const providerName = this.forceStub ? 'stub' : this.registry.find(candidate)?.name;
+        const adapterLogger = (callLogger ?? this.logger).child({ model: candidate });
+
+        const answer = await withRetry(
+          () => {
+            startAttempt(candidate);
+            return this.#invoke(adapter, providerName, userId, messages, {
+              ...callOptions,
+              ...streamOptions,
+              model: candidate,
+              logger: adapterLogger,
+            });
+          },
+          retry,
+          {
+            sleep: this.sleep,
+            random: this.random,
+            onAttempt: ({ attempt, error, delayMs }) => {
+              attempts.push({ model: candidate, attempt, ok: !error, error: error?.message ?? null, delayMs });
+              if (error) {
+                logger.warn('ai.provider.attempt_failed', { model: candidate, attempt, delayMs, error });
+              }
+            },
+          }
+        );
+
+        const response = await withEnergy(answer, { model: candidate, functionType: callOptions.functionType, messages });
+
+        if (candidate !== chain[0]) {
+          logger.warn('ai.provider.fallback_used', { model: candidate, requestedModel: chain[0] });
+        }
+
+        return { ...response, model: response.model ?? candidate, requestedModel: chain[0], attempts };
+      } catch (error) {
+        lastError = error;
+        if (!attempts.some(a => a.model === candidate)) {
+          // Failed before reaching the provider (e.g. unknown model)
+          attempts.push({ model: candidate, attempt: 0, ok: false, error: error.message, delayMs: 0 });
+        }
+      }
+    }
+
+    const failure = providerFailure(lastError, {
+      message: `${chain.join(' → ')} exhausted. Last error: ${lastError?.message}`,
+      model: attempts.at(-1)?.model ?? chain[0],
+      pass: callOptions.functionType ?? null,
+    });
+    failure.attempts = attempts;
+    logger.error('ai.provider.exhausted', { chain, attempts: attempts.length, error: lastError });
+    throw failure;
+  }
+
+  /**
+   * Dry-run energy estimate for a call, without contacting any provider.
+   *
+   * The prompt is tokenized locally; the completion size is unknown before
+   * the call, so the estimate is a range from an empty completion up to the
+   * pass maxTokens limit. Both ends use the domain pricing table.
+   *
+   * @param {Array<Object>} messages - [{ role, content }]
+   * @param {string} functionType - AI pass (e.g. 'habit_series_creative')
+   * @returns {Promise<Object>} { functionType, model, promptTokens, maxCompletionTokens, minEnergy, maxEnergy, tokenSource }
+   */
+  async estimateEnergy(messages, functionType) {
+    const { model, maxTokens } = getModelConfig(functionType);
+    const resolved = this.resolveModel(model);
+
+    const prompt = messages.map(m => m.content).join('\n\n');
+    const { tokens: promptTokens, source } = await countTokens(prompt);
+
+    return {
+      functionType,
+      model: resolved,
+      promptTokens,
+      maxCompletionTokens: maxTokens,
+      minEnergy: calculateEnergy({ model: resolved, functionType, promptTokens, completionTokens: 0 }),
+      maxEnergy: calculateEnergy({ model: resolved, functionType, promptTokens, completionTokens: maxTokens }),
+      tokenSource: source,
+    };
+  }
+
+  /**
+   * Per-model health snapshot (circuit state, error rate, latency).
+   *
+   * @returns {Object<string, Object>}
+   */
+  getHealth() {
+    return this.health.getHealth();
+  }
+
+  /**
+   * Response cache counters (hits, misses, hit rate), or null when disabled.
+   *
+   * @returns {Object|null}
+   */
+  getCacheStats() {
+    return this.cache?.getStats() ?? null;
+  }
+
+  /**
+   * Single provider call guarded by the model circuit breaker.
+   *
+   * An open circuit surfaces as a permanent error, so the retry loop stops
+   * and the router moves on to the next fallback model.
+   *
+   * Every attempt (including rejected ones) is an `ai.provider.call` span.
+   */
+  async #invoke(adapter, providerName, userId, messages, options) {
+    const { model } = options;
+
+    const spanAttributes = {
+      [SpanAttributes.PROVIDER]: providerName,
+      [SpanAttributes.REQUEST_MODEL]: model,
+      [SpanAttributes.TEMPERATURE]: options.temperature,
+      [SpanAttributes.MAX_TOKENS]: options.maxTokens,
+    };
+
+    return withSpan('ai.provider.call', spanAttributes, async (span) => {
+      if (!this.health.canRequest(model)) {
+        const error = new Error(`CIRCUIT_OPEN: Model "${model}" is temporarily disabled after repeated failures`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const response = await adapter.callAI(userId, messages, options);
+        this.health.recordSuccess(model, Date.now() - startedAt);
+        span.setAttributes(responseAttributes({ model, ...response }));
+        return response;
+      } catch (error) {
+        if (isHealthFailure(error)) {
+          this.health.recordFailure(model, Date.now() - startedAt, error);
+        } else {
+          this.health.recordIgnored(model);
+        }
+        throw error;
+      }
+    });
   }
 
   /**
@@ -91,8 +590,11 @@ export class AIProviderRouter extends IAIProvider {
   async callAIWithFunctionType(userId, messages, functionType) {
     // Default delegation to Gemini for function-type calls.
     // Actual model selection is handled upstream.
-    return this.geminiAdapter.callAIWithFunctionType(userId, messages, functionType);
+    if (this.forceStub) {
+      return this.stubAdapter.callAIWithFunctionType(userId, messages, functionType);
+    }
+    return this.getAdapterForModel('gemini-2.5-flash').callAIWithFunctionType(userId, messages, functionType);
   }
 }
 
-export default AIProviderRouter;
\ No newline at end of file
+export default AIProviderRouter;
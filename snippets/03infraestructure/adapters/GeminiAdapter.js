@@ -8,8 +8,13 @@
  * the application layer and the Gemini API:
  * - Translates system messages into Gemini-compatible prompts
  * - Executes the AI call using the Google Generative AI SDK
+ *   (streaming partial text when the caller provides an onDelta callback)
  * - Translates the response back into a backend-friendly format
- * - Computes token usage and energy consumption deterministically
+ * - Reports token usage (provider metadata first, see TokenUsage.js)
+ *   and computes energy consumption deterministically from it
+ *
+ * Logging goes through options.logger (bound to the request, user, pass
+ * and model by the caller), falling back to the process-wide logger.
  *
  * IMPORTANT:
  * - Gemini is treated as a probabilistic generator.
@@ -22,50 +27,56 @@
  */
 
 import { getModel } from './GeminiConfig.js';
+import { resolveTokenUsage } from '../TokenUsage.js';
+import { isRateLimitAIError, isRejectedAIError } from '../RetryPolicy.js';
+import { calculateEnergy } from '../../../domain/policies/EnergyPricingPolicy.js';
 import { IAIProvider } from '../../../domain/ports/IAIProvider.js';
+import { defaultLogger } from '../../../application/logging/Logger.js';
+import {
+  ProviderUnavailableError,
+  ProviderRateLimitedError,
+  ProviderRequestRejectedError
+} from '../../../application/errors/PipelineErrors.js';
 
 /**
- * Estimate token usage for Gemini responses.
- *
- * This is a deterministic approximation based on the original implementation.
+ * Compute energy consumption for a Gemini call.
  *
- * Formula:
- *   tokens ≈ text.length / 3.7
+ * Weights, minimum charge and pass multiplier come from the domain
+ * pricing table (EnergyPricingPolicy); this adapter only supplies usage.
  *
- * @param {string} text
+ * @param {string} model
+ * @param {string} [functionType]
+ * @param {{ promptTokens: number, completionTokens: number, source: string }} usage
  * @returns {number}
  */
-function calculateGeminiTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  return Math.round(text.length / 3.7);
+function calculateGeminiEnergy(model, functionType, usage) {
+  const { promptTokens, completionTokens } = usage;
+  return calculateEnergy({ model, functionType, promptTokens, completionTokens });
 }
 
 /**
- * Compute energy consumption for a Gemini call.
+ * Typed error for a failed Gemini call (throttled, unavailable or rejected).
  *
- * Energy is derived from both prompt and response size,
- * following the original backend formula:
+ * Only an answer from Gemini can reject a request: an HTTP 4xx other than
+ * 408 / 429, or a response blocked by its safety filters
+ * (GoogleGenerativeAIResponseError). Failures without a status (network
+ * errors, "fetch failed", GoogleGenerativeAIAbortError timeouts) never got
+ * an answer and are reported as unavailable, so they are retried and count
+ * against the model circuit.
  *
- * 1. promptTokens = calculateGeminiTokens(prompt)
- * 2. responseTokens = calculateGeminiTokens(response)
- * 3. total = responseTokens + (promptTokens × 0.30)
- * 4. energy = ceil(total / 100)
- *
- * @param {string} prompt
- * @param {string} response
- * @returns {number}
+ * @param {Error} error - SDK error
+ * @param {Object} context - { model, pass }
+ * @returns {Error}
  */
-function calculateGeminiEnergy(prompt, response) {
-  const tokensPrompt = calculateGeminiTokens(prompt);
-  const tokensResponse = calculateGeminiTokens(response);
-  const totalTokens = Math.round(tokensResponse + (tokensPrompt * 0.30));
-  const energy = Math.ceil(totalTokens / 100);
+function toProviderError(error, { model, pass }) {
+  const message = `Gemini call failed: ${error.message}`;
+  const options = { model, pass, cause: error };
 
-  console.log(
-    `📊 [Gemini Energy] Prompt: ${tokensPrompt}t, Response: ${tokensResponse}t, Total: ${totalTokens}t → Energy: ${energy}`
-  );
-
-  return energy;
+  if (isRateLimitAIError(error)) return new ProviderRateLimitedError(message, options);
+  if (isRejectedAIError(error) || error.name === 'GoogleGenerativeAIResponseError') {
+    return new ProviderRequestRejectedError(message, options);
+  }
+  return new ProviderUnavailableError(message, options);
 }
 
 /**
@@ -86,19 +97,28 @@ export class GeminiAdapter extends IAIProvider {
    * @param {number} options.temperature - Sampling temperature
    * @param {number} options.maxTokens - Output token limit
    * @param {boolean} options.forceJson - Included for interface parity (not used here)
+   * @param {Function} [options.onDelta] - Receives each streamed text chunk; enables streaming
+   * @param {string} [options.functionType] - AI pass, used for the pricing multiplier
+   * @param {Object} [options.logger] - Per-call logger (correlation fields already bound)
    *
-   * @returns {Promise<Object>} { content, model, tokensUsed, energyConsumed }
+   * @returns {Promise<Object>} { content, model, tokensUsed, energyConsumed, usage }
+   *   usage: { promptTokens, completionTokens, totalTokens, source }
    */
   async callAI(userId, messages, options = {}) {
+    const logger = (options.logger ?? defaultLogger).child({ provider: 'gemini' });
+    const startedAt = Date.now();
+
     try {
       const {
         model = 'gemini-2.5-flash',
         temperature = 0.7,
         maxTokens = 1500,
         forceJson = false, // intentionally unused
+        onDelta,
+        functionType,
       } = options;
 
-      console.log(`🧠 [Gemini] Calling model: ${model}`);
+      logger.debug('ai.call.started', { model, temperature, maxTokens, streaming: typeof onDelta === 'function' });
 
       const geminiModel = getModel(model);
 
@@ -114,33 +134,68 @@ export class GeminiAdapter extends IAIProvider {
         maxOutputTokens: maxTokens,
       };
 
-      const result = await geminiModel.generateContent({
+      const request = {
         contents: [{ parts: [{ text: prompt }] }],
         generationConfig,
-      });
+      };
 
-      const content = result.response.text();
-      const tokensUsed = calculateGeminiTokens(content);
+      let content;
+      let usageMetadata;
+
+      if (typeof onDelta === 'function') {
+        // Streaming: forward partial text as it arrives, then use the
+        // aggregated response so accounting matches the non-streaming path
+        const result = await geminiModel.generateContentStream(request);
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) onDelta(text);
+        }
+        const aggregated = await result.response;
+        content = aggregated.text();
+        usageMetadata = aggregated.usageMetadata;
+      } else {
+        const result = await geminiModel.generateContent(request);
+        content = result.response.text();
+        usageMetadata = result.response.usageMetadata;
+      }
+
+      const usage = await resolveTokenUsage({
+        providerUsage: usageMetadata,
+        prompt,
+        completion: content,
+      });
+      const tokensUsed = usage.completionTokens;
 
-      // Only Gemini consumes internal energy units (creative generation)
-      const energyConsumed = calculateGeminiEnergy(prompt, content);
+      const energyConsumed = calculateGeminiEnergy(model, functionType, usage);
 
       const response = {
         content,
         model,
         tokensUsed,
         energyConsumed,
+        usage,
       };
 
-      console.log(
-        `✅ [Gemini] Response received - Tokens: ${tokensUsed}, Energy: ${energyConsumed}`
-      );
+      logger.info('ai.call.completed', {
+        model,
+        functionType,
+        latencyMs: Date.now() - startedAt,
+        tokens: usage,
+        energy: energyConsumed,
+      });
 
       return response;
 
     } catch (error) {
-      console.error(`❌ [GeminiAdapter] callAI error: ${error.message}`);
-      throw new Error(`Gemini call failed: ${error.message}`);
+      logger.error('ai.call.failed', { latencyMs: Date.now() - startedAt, error });
+
+      // Preserve the provider status so the router can classify transient failures
+      const wrapped = toProviderError(error, {
+        model: options.model ?? 'gemini-2.5-flash',
+        pass: options.functionType ?? null,
+      });
+      wrapped.status = error.status ?? error.statusCode;
+      throw wrapped;
     }
   }
 
@@ -0,0 +1,247 @@
+/**
+ * Model Health Tracker — Infrastructure Layer
+ *
+ * Keeps rolling error and latency statistics for every model the router
+ * calls, and runs a circuit breaker per model on top of them.
+ *
+ * Circuit states:
+ * - closed    → requests flow normally
+ * - open      → the model is skipped until the cooldown elapses
+ * - half_open → a single probe request is allowed; success closes the
+ *               circuit, failure opens it again for another cooldown
+ *
+ * A circuit opens when either:
+ * - the model fails `failureThreshold` times in a row, or
+ * - the error rate over the rolling window reaches `errorRateThreshold`
+ *   (only once the window holds at least `minSamples` outcomes)
+ *
+ * Only outcomes that say something about the model count: the router
+ * records failures for transient errors (outages, 5xx, throttling,
+ * timeouts) and ignores the others (a rejected request, a bug), which
+ * neither open nor close a circuit.
+ *
+ * This component performs no I/O and makes no routing decisions.
+ * AIProviderRouter consults it before each call and reports outcomes after.
+ * State transitions are logged (ai.circuit.half_open | closed | opened).
+ */
+
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+/**
+ * Default circuit breaker configuration.
+ */
+export const DEFAULT_CIRCUIT_BREAKER_CONFIG = Object.freeze({
+  windowSize: 20,
+  minSamples: 10,
+  errorRateThreshold: 0.5,
+  failureThreshold: 5,
+  cooldownMs: 30000,
+});
+
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+});
+
+/**
+ * @param {Array<number>} values
+ * @param {number} percentile - 0..100
+ * @returns {number|null}
+ */
+function percentileOf(values, percentile) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+export class ModelHealthTracker {
+  /**
+   * @param {Object} [config] - Overrides for DEFAULT_CIRCUIT_BREAKER_CONFIG
+   * @param {Function} [now] - Injectable clock (tests)
+   * @param {Object} [logger] - Logger port (default: process-wide JSON logger)
+   */
+  constructor(config = {}, now = () => Date.now(), logger = defaultLogger) {
+    this.config = { ...DEFAULT_CIRCUIT_BREAKER_CONFIG, ...config };
+    this.now = now;
+    this.logger = logger.child({ component: 'CircuitBreaker' });
+
+    /** @type {Map<string, Object>} */
+    this.models = new Map();
+  }
+
+  /**
+   * Whether a request to the model may be sent right now.
+   *
+   * Moves an open circuit to half_open once its cooldown has elapsed and
+   * reserves the single probe slot for the caller.
+   *
+   * @param {string} model
+   * @returns {boolean}
+   */
+  canRequest(model) {
+    const entry = this.#entry(model);
+
+    if (entry.state === CircuitState.CLOSED) return true;
+
+    if (entry.state === CircuitState.OPEN) {
+      if (this.now() - entry.openedAt < this.config.cooldownMs) return false;
+
+      entry.state = CircuitState.HALF_OPEN;
+      entry.probeInFlight = false;
+      this.logger.info('ai.circuit.half_open', { model });
+    }
+
+    // half_open: exactly one probe at a time
+    if (entry.probeInFlight) return false;
+    entry.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful call.
+   *
+   * @param {string} model
+   * @param {number} latencyMs
+   */
+  recordSuccess(model, latencyMs) {
+    const entry = this.#entry(model);
+    this.#push(entry, { ok: true, latencyMs });
+
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = this.now();
+
+    if (entry.state !== CircuitState.CLOSED) {
+      this.logger.info('ai.circuit.closed', { model });
+      entry.state = CircuitState.CLOSED;
+      entry.openedAt = null;
+      entry.probeInFlight = false;
+      // Start from a clean window so stale failures cannot re-open it
+      entry.window = [{ ok: true, latencyMs }];
+    }
+  }
+
+  /**
+   * Record a failed call.
+   *
+   * @param {string} model
+   * @param {number} latencyMs
+   * @param {Error} [error]
+   */
+  recordFailure(model, latencyMs, error) {
+    const entry = this.#entry(model);
+    this.#push(entry, { ok: false, latencyMs });
+
+    entry.consecutiveFailures++;
+    entry.lastFailureAt = this.now();
+    entry.lastError = error?.message ?? null;
+
+    if (entry.state === CircuitState.HALF_OPEN) {
+      this.#open(model, entry, 'probe failed');
+      return;
+    }
+
+    if (entry.state === CircuitState.CLOSED) {
+      const { failureThreshold, minSamples, errorRateThreshold } = this.config;
+      const failures = entry.window.filter(o => !o.ok).length;
+      const errorRate = failures / entry.window.length;
+
+      if (entry.consecutiveFailures >= failureThreshold) {
+        this.#open(model, entry, `${entry.consecutiveFailures} consecutive failures`);
+      } else if (entry.window.length >= minSamples && errorRate >= errorRateThreshold) {
+        this.#open(model, entry, `error rate ${(errorRate * 100).toFixed(0)}%`);
+      }
+    }
+  }
+
+  /**
+   * Record a call whose outcome says nothing about the model health
+   * (e.g. the request was rejected). Nothing is counted; a half-open
+   * circuit frees its probe slot so that the next call can probe.
+   *
+   * @param {string} model
+   */
+  recordIgnored(model) {
+    const entry = this.#entry(model);
+    if (entry.state === CircuitState.HALF_OPEN) entry.probeInFlight = false;
+  }
+
+  /**
+   * Snapshot of every tracked model, suitable for an ops endpoint.
+   *
+   * @returns {Object<string, Object>}
+   */
+  getHealth() {
+    const snapshot = {};
+
+    for (const [model, entry] of this.models) {
+      const latencies = entry.window.map(o => o.latencyMs);
+      const failures = entry.window.filter(o => !o.ok).length;
+
+      snapshot[model] = {
+        state: entry.state,
+        totalRequests: entry.totalRequests,
+        totalFailures: entry.totalFailures,
+        windowSize: entry.window.length,
+        errorRate: entry.window.length ? failures / entry.window.length : 0,
+        avgLatencyMs: latencies.length
+          ? Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length)
+          : null,
+        p95LatencyMs: percentileOf(latencies, 95),
+        consecutiveFailures: entry.consecutiveFailures,
+        openedAt: entry.openedAt !== null ? new Date(entry.openedAt).toISOString() : null,
+        lastSuccessAt: entry.lastSuccessAt !== null ? new Date(entry.lastSuccessAt).toISOString() : null,
+        lastFailureAt: entry.lastFailureAt !== null ? new Date(entry.lastFailureAt).toISOString() : null,
+        lastError: entry.lastError,
+      };
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Forget all statistics (or those of a single model).
+   *
+   * @param {string} [model]
+   */
+  reset(model) {
+    if (model) this.models.delete(model);
+    else this.models.clear();
+  }
+
+  #entry(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, {
+        state: CircuitState.CLOSED,
+        window: [],
+        totalRequests: 0,
+        totalFailures: 0,
+        consecutiveFailures: 0,
+        openedAt: null,
+        probeInFlight: false,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+      });
+    }
+    return this.models.get(model);
+  }
+
+  #push(entry, outcome) {
+    entry.totalRequests++;
+    if (!outcome.ok) entry.totalFailures++;
+
+    entry.window.push(outcome);
+    if (entry.window.length > this.config.windowSize) entry.window.shift();
+  }
+
+  #open(model, entry, reason) {
+    entry.state = CircuitState.OPEN;
+    entry.openedAt = this.now();
+    entry.probeInFlight = false;
+    this.logger.warn('ai.circuit.opened', { model, reason, cooldownMs: this.config.cooldownMs });
+  }
+}
+
+export default ModelHealthTracker;
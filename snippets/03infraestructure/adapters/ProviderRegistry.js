@@ -0,0 +1,202 @@
+/**
+ * Provider Registry — Infrastructure Layer
+ *
+ * Holds the mapping between model identifiers and the concrete adapters
+ * that serve them. It is owned by AIProviderRouter and replaces the
+ * hardcoded prefix checks that previously lived in the router.
+ *
+ * Each registered provider declares:
+ * - a unique name (e.g. 'gemini', 'openai', 'anthropic', 'ollama')
+ * - an adapter implementing the IAIProvider port
+ * - one or more matchers: string prefixes ('gpt-') or regular expressions
+ *
+ * Aliases map a logical model name to a concrete one
+ * (e.g. 'fast' → 'gemini-2.5-flash'). Aliases are resolved before matching
+ * and may chain, but cycles are rejected.
+ *
+ * Resolution is deterministic: providers are evaluated in registration
+ * order and the first matcher that accepts the model wins.
+ */
+
+/**
+ * @typedef {Object} ProviderRegistration
+ * @property {string} name
+ * @property {Object} adapter - IAIProvider implementation
+ * @property {Array<string|RegExp>} matchers
+ */
+
+/**
+ * Human-readable representation of a matcher, used in error messages.
+ *
+ * @param {string|RegExp} matcher
+ * @returns {string}
+ */
+function describeMatcher(matcher) {
+  return matcher instanceof RegExp ? matcher.toString() : `'${matcher}*'`;
+}
+
+/**
+ * @param {string|RegExp} matcher
+ * @param {string} model
+ * @returns {boolean}
+ */
+function matches(matcher, model) {
+  return matcher instanceof RegExp ? matcher.test(model) : model.startsWith(matcher);
+}
+
+export class ProviderRegistry {
+  constructor() {
+    /** @type {Map<string, ProviderRegistration>} */
+    this.providers = new Map();
+
+    /** @type {Map<string, string>} */
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register a provider adapter.
+   *
+   * @param {string} name - Unique provider name
+   * @param {Object} adapter - IAIProvider implementation
+   * @param {Object} options
+   * @param {Array<string>} [options.prefixes] - Model prefixes served by the adapter
+   * @param {Array<RegExp>} [options.patterns] - Model patterns served by the adapter
+   * @returns {ProviderRegistry}
+   */
+  register(name, adapter, { prefixes = [], patterns = [] } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('INVALID_PROVIDER: Provider name is required');
+    }
+
+    if (this.providers.has(name)) {
+      throw new Error(`PROVIDER_ALREADY_REGISTERED: Provider "${name}" is already registered`);
+    }
+
+    if (!adapter || typeof adapter.callAI !== 'function') {
+      throw new Error(`INVALID_PROVIDER: Adapter for "${name}" must implement callAI()`);
+    }
+
+    const matchers = [...prefixes, ...patterns];
+
+    if (matchers.length === 0) {
+      throw new Error(`INVALID_PROVIDER: Provider "${name}" must declare at least one prefix or pattern`);
+    }
+
+    for (const matcher of matchers) {
+      const valid = matcher instanceof RegExp || (typeof matcher === 'string' && matcher !== '');
+      if (!valid) {
+        throw new Error(`INVALID_PROVIDER: Invalid matcher for "${name}": ${String(matcher)}`);
+      }
+    }
+
+    this.providers.set(name, { name, adapter, matchers });
+    return this;
+  }
+
+  /**
+   * Remove a provider.
+   *
+   * @param {string} name
+   * @returns {boolean} true if a provider was removed
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Register an alias for a model identifier.
+   *
+   * @param {string} alias - Logical name (e.g. 'fast')
+   * @param {string} model - Target model or another alias
+   * @returns {ProviderRegistry}
+   */
+  alias(alias, model) {
+    if (!alias || typeof alias !== 'string' || !model || typeof model !== 'string') {
+      throw new Error('INVALID_ALIAS: Alias and target model are required');
+    }
+
+    const previous = this.aliases.get(alias);
+    this.aliases.set(alias, model);
+
+    try {
+      this.resolveAlias(alias);
+    } catch (error) {
+      if (previous === undefined) this.aliases.delete(alias);
+      else this.aliases.set(alias, previous);
+      throw error;
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove an alias.
+   *
+   * @param {string} alias
+   * @returns {boolean} true if an alias was removed
+   */
+  removeAlias(alias) {
+    return this.aliases.delete(alias);
+  }
+
+  /**
+   * Resolve aliases until a concrete model identifier is reached.
+   *
+   * @param {string} model
+   * @returns {string}
+   */
+  resolveAlias(model) {
+    const visited = new Set();
+    let current = model;
+
+    while (this.aliases.has(current)) {
+      if (visited.has(current)) {
+        throw new Error(`ALIAS_CYCLE: Alias chain for "${model}" is cyclic`);
+      }
+      visited.add(current);
+      current = this.aliases.get(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Find the provider registration serving a concrete model.
+   *
+   * @param {string} model - Concrete (already alias-resolved) model
+   * @returns {ProviderRegistration|null}
+   */
+  find(model) {
+    for (const provider of this.providers.values()) {
+      if (provider.matchers.some(matcher => matches(matcher, model))) {
+        return provider;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a provider registration by name.
+   *
+   * @param {string} name
+   * @returns {ProviderRegistration|null}
+   */
+  get(name) {
+    return this.providers.get(name) ?? null;
+  }
+
+  /**
+   * Describe the registered providers, e.g. for error messages or diagnostics.
+   *
+   * @returns {string} e.g. "openai ('gpt-*', 'o1-*'), gemini ('gemini-*')"
+   */
+  describe() {
+    if (this.providers.size === 0) return '(no providers registered)';
+
+    return [...this.providers.values()]
+      .map(p => `${p.name} (${p.matchers.map(describeMatcher).join(', ')})`)
+      .join(', ');
+  }
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,197 @@
+/**
+ * AI Response Cache — Infrastructure Layer
+ *
+ * Serves repeated deterministic AI calls without contacting a provider.
+ *
+ * Only deterministic calls are cached: temperature 0 and no streaming.
+ * Passes such as habit_series_structure and json_conversion qualify;
+ * creative passes never do.
+ *
+ * Cache key:
+ *   sha256({ model, options, messages hash })
+ * where `options` are the call options that can change the output
+ * (temperature, maxTokens, forceJson, functionType...). Per-call plumbing
+ * (logger, fallbacks, retry policy, stream listener) is not part of the key.
+ *
+ * A hit is returned with `cached: true` and `energyConsumed: 0`: the user
+ * is never charged for a response nobody paid a provider for.
+ *
+ * Limits:
+ * - entries expire after `ttlMs`
+ * - responses larger than `maxEntryBytes` are not stored
+ * - the backend bounds the number of entries (see InMemoryCacheBackend)
+ *
+ * The cache is an optimization: a failing backend is logged and bypassed,
+ * it never fails the AI call.
+ */
+
+import { createHash } from 'node:crypto';
+import { InMemoryCacheBackend } from '../cache/InMemoryCacheBackend.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+/**
+ * Default cache configuration.
+ */
+export const DEFAULT_RESPONSE_CACHE_CONFIG = Object.freeze({
+  ttlMs: 60 * 60 * 1000,
+  maxEntryBytes: 64 * 1024,
+});
+
+/**
+ * Call options that never change the provider output.
+ */
+const NON_SEMANTIC_OPTIONS = ['logger', 'fallbacks', 'retry', 'onDelta', 'onStreamReset', 'signal', 'description'];
+
+/**
+ * JSON serialization with sorted object keys, so equal options always
+ * produce the same key regardless of property order.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+/**
+ * Whether a call is deterministic enough to be served from cache.
+ *
+ * @param {Object} options - Call options
+ * @returns {boolean}
+ */
+export function isCacheable(options = {}) {
+  return options.temperature === 0 && typeof options.onDelta !== 'function';
+}
+
+/**
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @param {Object} options - Call options
+ * @returns {string}
+ */
+export function responseCacheKey(messages, options) {
+  const { model, ...rest } = options;
+  const semanticOptions = Object.fromEntries(
+    Object.entries(rest).filter(([key]) => !NON_SEMANTIC_OPTIONS.includes(key))
+  );
+
+  return sha256(stableStringify({
+    model,
+    options: semanticOptions,
+    messages: sha256(stableStringify(messages.map(({ role, content }) => ({ role, content })))),
+  }));
+}
+
+export class ResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.backend] - Cache backend (default: InMemoryCacheBackend)
+   * @param {number} [options.ttlMs] - Entry lifetime
+   * @param {number} [options.maxEntryBytes] - Largest response stored
+   * @param {Object} [options.logger] - Logger port
+   */
+  constructor({
+    backend = new InMemoryCacheBackend(),
+    ttlMs = DEFAULT_RESPONSE_CACHE_CONFIG.ttlMs,
+    maxEntryBytes = DEFAULT_RESPONSE_CACHE_CONFIG.maxEntryBytes,
+    logger = defaultLogger,
+  } = {}) {
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+    this.maxEntryBytes = maxEntryBytes;
+    this.logger = logger.child({ component: 'ResponseCache' });
+    this.stats = { hits: 0, misses: 0, stores: 0, skipped: 0, errors: 0 };
+  }
+
+  /**
+   * Cached response for a call, or null on a miss or a non-cacheable call.
+   *
+   * @param {Array<Object>} messages
+   * @param {Object} options - Call options (model already resolved)
+   * @returns {Promise<Object|null>} Response marked { cached: true, energyConsumed: 0 }
+   */
+  async get(messages, options) {
+    if (!isCacheable(options)) return null;
+
+    try {
+      const entry = await this.backend.get(responseCacheKey(messages, options));
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return {
+        ...entry.response,
+        cached: true,
+        cachedAt: entry.storedAt,
+        energyConsumed: 0,
+        attempts: [],
+      };
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.warn('ai.cache.read_failed', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Store the response of a cacheable call.
+   *
+   * @param {Array<Object>} messages
+   * @param {Object} options - Call options (model already resolved)
+   * @param {Object} response - Provider response
+   * @returns {Promise<boolean>} Whether the response was stored
+   */
+  async set(messages, options, response) {
+    if (!isCacheable(options)) return false;
+
+    const { attempts, cached, cachedAt, ...stored } = response;
+    const size = Buffer.byteLength(JSON.stringify(stored));
+
+    if (size > this.maxEntryBytes) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    try {
+      await this.backend.set(
+        responseCacheKey(messages, options),
+        { response: stored, storedAt: new Date().toISOString() },
+        this.ttlMs
+      );
+      this.stats.stores++;
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.warn('ai.cache.write_failed', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Drop every cached response (e.g. after a prompt or model change).
+   */
+  async clear() {
+    await this.backend.clear();
+  }
+
+  /**
+   * Hit / miss counters for ops endpoints.
+   *
+   * @returns {{ hits: number, misses: number, stores: number, skipped: number, errors: number, hitRate: number|null }}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return { ...this.stats, hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null };
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,187 @@
+/**
+ * Retry Policy — Infrastructure Layer
+ *
+ * Mechanics for retrying AI provider calls that fail for transient reasons.
+ *
+ * This module decides HOW to retry (classification, backoff, jitter).
+ * WHICH models to try and in what order is declared by the domain policies
+ * (see HABIT_SERIES_AI_POLICIES) and walked by AIProviderRouter.
+ *
+ * Transient failures:
+ * - HTTP 429 (rate limited)
+ * - HTTP 5xx (provider errors, overload)
+ * - Timeouts, aborted requests and network failures (DNS, reset
+ *   connections, "fetch failed"), which carry no HTTP status
+ *
+ * Anything else (invalid request, authentication, unknown model) is
+ * considered permanent and is never retried on the same model.
+ *
+ * Errors already typed by an adapter are classified by class, never by
+ * their message text.
+ */
+
+import {
+  PipelineError,
+  ProviderUnavailableError,
+  ProviderRateLimitedError
+} from '../../application/errors/PipelineErrors.js';
+
+/**
+ * Default retry policy used when a pass does not declare its own.
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+});
+
+const TRANSIENT_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+/**
+ * Abort / timeout errors, including the Gemini SDK one
+ * ("Request aborted when fetching ...").
+ */
+const ABORT_ERROR_NAMES = new Set(['AbortError', 'TimeoutError', 'GoogleGenerativeAIAbortError']);
+
+const TRANSIENT_MESSAGE_PATTERN =
+  /\b(429|500|502|503|504)\b|rate.?limit|quota|overloaded|unavailable|timed? ?out|timeout|socket hang up|fetch failed|request aborted|ECONNRESET|ENOTFOUND|EAI_AGAIN/i;
+
+/**
+ * Extract an HTTP status from provider SDK errors, if any.
+ *
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function getStatus(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status ?? error?.cause?.status;
+  return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Determines whether an AI provider error is worth retrying.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientAIError(error) {
+  if (!error) return false;
+
+  if (error instanceof PipelineError) {
+    return error instanceof ProviderUnavailableError || error instanceof ProviderRateLimitedError;
+  }
+
+  const status = getStatus(error);
+  if (status !== null) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const code = error.code ?? error.cause?.code;
+  if (code && TRANSIENT_ERROR_CODES.has(code)) return true;
+
+  if (ABORT_ERROR_NAMES.has(error.name)) return true;
+
+  return TRANSIENT_MESSAGE_PATTERN.test(error.message ?? '');
+}
+
+/**
+ * Determines whether an AI provider error is a throttling response
+ * (as opposed to an outage), so it can be reported as such.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRateLimitAIError(error) {
+  if (!error) return false;
+  if (error instanceof PipelineError) return error instanceof ProviderRateLimitedError;
+  if (getStatus(error) === 429) return true;
+  return /\b429\b|rate.?limit|quota/i.test(error.message ?? '');
+}
+
+/**
+ * Determines whether an AI provider error is the provider refusing the
+ * request (HTTP 4xx other than 408 and 429), as opposed to a failure
+ * that never got a provider answer.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRejectedAIError(error) {
+  const status = getStatus(error);
+  return status !== null && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * Exponential backoff with full jitter.
+ *
+ * delay = random(0, min(maxDelayMs, baseDelayMs × 2^(attempt - 1)))
+ *
+ * @param {number} attempt - 1-based attempt number that just failed
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @param {Function} [random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Execute an operation, retrying transient failures according to the policy.
+ *
+ * Every attempt (successful or not) is reported through onAttempt so that
+ * the caller can build an execution trace.
+ *
+ * @param {Function} operation - async (attempt) => result
+ * @param {Object} [policy] - { maxAttempts, baseDelayMs, maxDelayMs }
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onAttempt] - ({ attempt, error, delayMs }) => void
+ * @param {Function} [hooks.sleep] - Injectable delay (tests)
+ * @param {Function} [hooks.random] - Injectable random source (tests)
+ * @returns {Promise<*>}
+ */
+export async function withRetry(operation, policy = DEFAULT_RETRY_POLICY, hooks = {}) {
+  const { onAttempt = () => {}, sleep: wait = sleep, random = Math.random } = hooks;
+  const { maxAttempts } = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await operation(attempt);
+      onAttempt({ attempt, error: null, delayMs: 0 });
+      return result;
+    } catch (error) {
+      const retryable = isTransientAIError(error) && attempt < maxAttempts;
+      const delayMs = retryable ? computeBackoffDelay(attempt, policy, random) : 0;
+
+      onAttempt({ attempt, error, delayMs });
+
+      if (!retryable) throw error;
+      await wait(delayMs);
+    }
+  }
+}
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  isTransientAIError,
+  isRateLimitAIError,
+  isRejectedAIError,
+  computeBackoffDelay,
+  withRetry
+};
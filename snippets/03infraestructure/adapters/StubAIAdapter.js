@@ -0,0 +1,233 @@
+/**
+ * Stub AI Adapter (Infrastructure Layer)
+ *
+ * This adapter is a deterministic, offline stand-in for the real AI providers.
+ * It allows the complete habit series pipeline to run locally and in tests
+ * without Gemini or OpenAI credentials and without any network access.
+ *
+ * It implements the IAIProvider port and replays canned responses:
+ * - Responses are resolved per function type (habit_series_creative,
+ *   habit_series_structure, json_conversion)
+ * - Fixtures can be static strings, plain objects (serialized as JSON),
+ *   functions of the incoming messages, or ordered sequences of those
+ * - The response shape is identical to the real adapters:
+ *   { content, model, tokensUsed, energyConsumed, usage }
+ * - Usage is always computed with the heuristic, so stubbed runs stay
+ *   deterministic whether or not the offline tokenizer is installed
+ *
+ * IMPORTANT:
+ * - This adapter is NOT a model simulator. It performs no generation.
+ * - It does NOT validate its own output; the use case still treats it
+ *   as untrusted input, exactly as it does with real providers.
+ *
+ * Routing:
+ * - Models prefixed with 'stub-' or 'local-' are routed here by AIProviderRouter.
+ * - The function type is read from options.functionType, or derived from the
+ *   model name (e.g. 'stub-json_conversion' → 'json_conversion').
+ */
+
+import { IAIProvider } from '../../../domain/ports/IAIProvider.js';
+import { estimateTokensHeuristic, TokenUsageSource } from '../TokenUsage.js';
+import { calculateEnergy } from '../../../domain/policies/EnergyPricingPolicy.js';
+import { defaultLogger } from '../../../application/logging/Logger.js';
+
+/**
+ * Model prefixes served by this adapter.
+ */
+export const STUB_MODEL_PREFIXES = ['stub-', 'local-'];
+
+/**
+ * Default canned responses, one per habit series pass.
+ *
+ * They mirror a real execution (see contracts/res-example.json) so that
+ * the downstream parsing and validation steps exercise realistic content.
+ */
+export const DEFAULT_STUB_FIXTURES = {
+  habit_series_creative: [
+    'Deep Focus Architect',
+    '',
+    'A progressive series designed to rebuild deep concentration amid daily context switching.',
+    'It leverages quiet early mornings and flexible structures that adapt to your workload.',
+    '',
+    '1. Morning Routine — Start each day with a short, consistent routine before opening messages. Difficulty: low',
+    '2. Time Blocking — Reserve one protected block per day for deep work on a single task. Difficulty: medium',
+    '3. Mindfulness Meditation — Practice five minutes of focused breathing before each deep work block. Difficulty: medium',
+    '4. Task Prioritization — Sort pending tasks with the Eisenhower Matrix at the end of each day. Difficulty: low',
+  ].join('\n'),
+
+  habit_series_structure: [
+    'TITLE: Deep Focus Architect',
+    'DESCRIPTION: A progressive series designed to rebuild deep concentration amid daily context switching. It leverages quiet early mornings and flexible structures that adapt to your workload.',
+    'ACTIONS:',
+    '- NAME: Morning Routine | DESCRIPTION: Start each day with a short, consistent routine before opening messages. | DIFFICULTY: low',
+    '- NAME: Time Blocking | DESCRIPTION: Reserve one protected block per day for deep work on a single task. | DIFFICULTY: medium',
+    '- NAME: Mindfulness Meditation | DESCRIPTION: Practice five minutes of focused breathing before each deep work block. | DIFFICULTY: medium',
+    '- NAME: Task Prioritization | DESCRIPTION: Sort pending tasks with the Eisenhower Matrix at the end of each day. | DIFFICULTY: low',
+  ].join('\n'),
+
+  json_conversion: {
+    title: 'Deep Focus Architect',
+    description: 'A progressive series designed to rebuild deep concentration amid daily context switching. It leverages quiet early mornings and flexible structures that adapt to your workload.',
+    actions: [
+      {
+        name: 'Morning Routine',
+        description: 'Start each day with a short, consistent routine before opening messages.',
+        difficulty: 'low'
+      },
+      {
+        name: 'Time Blocking',
+        description: 'Reserve one protected block per day for deep work on a single task.',
+        difficulty: 'medium'
+      },
+      {
+        name: 'Mindfulness Meditation',
+        description: 'Practice five minutes of focused breathing before each deep work block.',
+        difficulty: 'medium'
+      },
+      {
+        name: 'Task Prioritization',
+        description: 'Sort pending tasks with the Eisenhower Matrix at the end of each day.',
+        difficulty: 'low'
+      }
+    ]
+  }
+};
+
+/**
+ * Resolve the function type served by a stub call.
+ *
+ * @param {string} model
+ * @param {Object} options
+ * @returns {string|null}
+ */
+function resolveFunctionType(model, options) {
+  if (options.functionType) return options.functionType;
+
+  const prefix = STUB_MODEL_PREFIXES.find(p => model.startsWith(p));
+  return prefix ? model.slice(prefix.length) : null;
+}
+
+/**
+ * Stub adapter implementing the IAIProvider port.
+ *
+ * Each instance keeps its own replay cursor per function type, so
+ * sequence fixtures (arrays) are consumed in order and the last entry
+ * is repeated once the sequence is exhausted.
+ */
+export class StubAIAdapter extends IAIProvider {
+  /**
+   * @param {Object} [config]
+   * @param {Object<string, string|Object|Function|Array>} [config.fixtures] - Overrides per function type
+   * @param {number} [config.energyPerCall] - Fixed energy per call (default: computed from the pricing table)
+   */
+  constructor({ fixtures = {}, energyPerCall = null } = {}) {
+    super();
+    this.fixtures = { ...DEFAULT_STUB_FIXTURES, ...fixtures };
+    this.energyPerCall = energyPerCall;
+    this.cursors = new Map();
+    this.calls = [];
+  }
+
+  /**
+   * Universal stub call.
+   *
+   * @param {string} userId - User identifier (recorded only)
+   * @param {Array<Object>} messages - [{ role, content }] prepared by the application layer
+   * @param {Object} options
+   * @param {string} options.model - Requested model (default: stub-habit_series_creative)
+   * @param {string} [options.functionType] - Pass whose fixture should be replayed
+   * @param {Function} [options.onDelta] - Receives the content line by line (simulated streaming)
+   * @param {Object} [options.logger] - Per-call logger (correlation fields already bound)
+   *
+   * @returns {Promise<Object>} { content, model, tokensUsed, energyConsumed, usage }
+   */
+  async callAI(userId, messages, options = {}) {
+    const { model = 'stub-habit_series_creative' } = options;
+    const functionType = resolveFunctionType(model, options);
+
+    if (!functionType || !(functionType in this.fixtures)) {
+      throw new Error(
+        `STUB_FIXTURE_NOT_FOUND: No stub fixture for function type "${functionType}" ` +
+        `(model "${model}"). Available: ${Object.keys(this.fixtures).join(', ')}`
+      );
+    }
+
+    const content = this.#render(functionType, messages, options);
+
+    if (typeof options.onDelta === 'function') {
+      for (const chunk of content.match(/[^\n]*\n?/g).filter(Boolean)) {
+        options.onDelta(chunk);
+      }
+    }
+
+    this.calls.push({ userId, functionType, model, messages });
+
+    const promptTokens = estimateTokensHeuristic(messages.map(m => m.content).join('\n\n'));
+    const completionTokens = estimateTokensHeuristic(content);
+    const energyConsumed = this.energyPerCall
+      ?? calculateEnergy({ model, functionType, promptTokens, completionTokens });
+    const usage = {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      source: TokenUsageSource.HEURISTIC,
+    };
+
+    (options.logger ?? defaultLogger).child({ provider: 'stub' }).info('ai.call.completed', {
+      model,
+      functionType,
+      latencyMs: 0,
+      tokens: usage,
+      energy: energyConsumed,
+    });
+
+    return {
+      content,
+      model,
+      tokensUsed: completionTokens,
+      energyConsumed,
+      usage,
+    };
+  }
+
+  /**
+   * Convenience wrapper when a function type is provided.
+   *
+   * @param {string} userId
+   * @param {Array<Object>} messages
+   * @param {string} functionType
+   * @returns {Promise<Object>}
+   */
+  async callAIWithFunctionType(userId, messages, functionType) {
+    return this.callAI(userId, messages, {
+      model: `stub-${functionType}`,
+      functionType,
+    });
+  }
+
+  /**
+   * Clear recorded calls and sequence cursors.
+   */
+  reset() {
+    this.cursors.clear();
+    this.calls = [];
+  }
+
+  #render(functionType, messages, options) {
+    let fixture = this.fixtures[functionType];
+
+    if (Array.isArray(fixture)) {
+      const index = this.cursors.get(functionType) ?? 0;
+      this.cursors.set(functionType, index + 1);
+      fixture = fixture[Math.min(index, fixture.length - 1)];
+    }
+
+    if (typeof fixture === 'function') {
+      fixture = fixture(messages, options);
+    }
+
+    return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  }
+}
+
+export default StubAIAdapter;
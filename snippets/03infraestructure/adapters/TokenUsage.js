@@ -0,0 +1,149 @@
+/**
+ * Token Usage Accounting — Infrastructure Layer
+ *
+ * Shared by every AI adapter to report token usage in one normalized,
+ * auditable shape:
+ *
+ *   { promptTokens, completionTokens, totalTokens, source }
+ *
+ * Sources, in order of preference:
+ * 1. 'provider'  → usage metadata returned by the provider API
+ *                  (Gemini usageMetadata, OpenAI usage)
+ * 2. 'tokenizer' → offline BPE tokenizer (js-tiktoken, o200k_base encoding)
+ * 3. 'heuristic' → legacy approximation: tokens ≈ text.length / 3.7
+ *
+ * The source is always reported, so energy billing can be traced back
+ * to how the token counts were obtained.
+ *
+ * NOTE:
+ * o200k_base is OpenAI's encoding. For Gemini it is an approximation,
+ * but a far closer one than a character ratio for Spanish or emoji-heavy
+ * text. It is only used when the provider did not report usage.
+ */
+
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+export const TokenUsageSource = Object.freeze({
+  PROVIDER: 'provider',
+  TOKENIZER: 'tokenizer',
+  HEURISTIC: 'heuristic',
+});
+
+/**
+ * Legacy deterministic approximation.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokensHeuristic(text) {
+  if (!text || typeof text !== 'string') return 0;
+  return Math.round(text.length / 3.7);
+}
+
+let encoderPromise = null;
+
+/**
+ * Lazily load the offline tokenizer.
+ * Resolves to null when the tokenizer package is unavailable.
+ *
+ * @returns {Promise<Object|null>}
+ */
+function loadEncoder() {
+  encoderPromise ??= import('js-tiktoken')
+    .then(({ getEncoding }) => getEncoding('o200k_base'))
+    .catch((error) => {
+      defaultLogger.warn('ai.tokenizer.unavailable', { fallback: 'heuristic', error });
+      return null;
+    });
+  return encoderPromise;
+}
+
+/**
+ * Count tokens of a text before any call is made (e.g. energy estimates).
+ *
+ * @param {string} text
+ * @returns {Promise<{ tokens: number, source: string }>}
+ */
+export async function countTokens(text) {
+  const encoder = await loadEncoder();
+  if (encoder) {
+    return { tokens: text ? encoder.encode(text).length : 0, source: TokenUsageSource.TOKENIZER };
+  }
+  return { tokens: estimateTokensHeuristic(text), source: TokenUsageSource.HEURISTIC };
+}
+
+/**
+ * Normalize provider usage metadata (Gemini or OpenAI shape).
+ *
+ * Gemini thinking models report reasoning tokens separately
+ * (thoughtsTokenCount); they are billed as output and counted here.
+ *
+ * @param {Object} usage
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ */
+function fromProviderUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+
+  // Gemini: { promptTokenCount, candidatesTokenCount, thoughtsTokenCount, totalTokenCount }
+  if (typeof usage.promptTokenCount === 'number') {
+    const promptTokens = usage.promptTokenCount;
+    const completionTokens = (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokenCount ?? promptTokens + completionTokens,
+    };
+  }
+
+  // OpenAI: { prompt_tokens, completion_tokens, total_tokens }
+  if (typeof usage.prompt_tokens === 'number') {
+    const promptTokens = usage.prompt_tokens;
+    const completionTokens = usage.completion_tokens ?? 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? promptTokens + completionTokens,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve token usage for a completed AI call.
+ *
+ * @param {Object} params
+ * @param {Object} [params.providerUsage] - Raw usage metadata from the provider
+ * @param {string} params.prompt - Prompt text sent to the model
+ * @param {string} params.completion - Text returned by the model
+ * @returns {Promise<{ promptTokens: number, completionTokens: number, totalTokens: number, source: string }>}
+ */
+export async function resolveTokenUsage({ providerUsage, prompt, completion }) {
+  const reported = fromProviderUsage(providerUsage);
+  if (reported) {
+    return { ...reported, source: TokenUsageSource.PROVIDER };
+  }
+
+  const encoder = await loadEncoder();
+  if (encoder) {
+    const promptTokens = prompt ? encoder.encode(prompt).length : 0;
+    const completionTokens = completion ? encoder.encode(completion).length : 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      source: TokenUsageSource.TOKENIZER,
+    };
+  }
+
+  const promptTokens = estimateTokensHeuristic(prompt);
+  const completionTokens = estimateTokensHeuristic(completion);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    source: TokenUsageSource.HEURISTIC,
+  };
+}
+
+export default { resolveTokenUsage, countTokens, estimateTokensHeuristic, TokenUsageSource };
@@ -0,0 +1,79 @@
+/**
+ * In-Memory Cache Backend (Infrastructure Layer)
+ *
+ * Default backend of the AI response cache. Suitable for tests and
+ * single-instance deployments; multi-instance deployments share hits
+ * only through a shared backend (Redis, Memcached...) implementing the
+ * same interface.
+ *
+ * Interface:
+ * - get(key)               → Promise<value | null>
+ * - set(key, value, ttlMs) → Promise<void>
+ * - delete(key)            → Promise<boolean>
+ * - clear()                → Promise<void>
+ *
+ * Limits:
+ * - every entry expires after the ttlMs given to set()
+ * - at most `maxEntries` entries are kept; the least recently used
+ *   entry is evicted first
+ */
+
+export class InMemoryCacheBackend {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Maximum number of entries (default: 500)
+   * @param {Function} [options.now] - Injectable clock (tests)
+   */
+  constructor({ maxEntries = 500, now = () => Date.now() } = {}) {
+    if (!(maxEntries > 0)) {
+      throw new Error('INVALID_CACHE_CONFIG: maxEntries must be positive');
+    }
+
+    this.maxEntries = maxEntries;
+    this.now = now;
+
+    /**
+     * Map iteration order is insertion order: re-inserting on every hit
+     * keeps the least recently used entry first.
+     * @type {Map<string, { value: *, expiresAt: number }>}
+     */
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: this.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export default InMemoryCacheBackend;
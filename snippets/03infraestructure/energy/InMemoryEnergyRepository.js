@@ -0,0 +1,204 @@
+/**
+ * In-Memory Energy Repository (Infrastructure Layer)
+ *
+ * Default implementation of the energy repository port. Suitable for tests
+ * and local runs; production implementations must perform `reserve` and
+ * `settle` atomically against the user balance (e.g. in a transaction).
+ *
+ * Interface:
+ * - getBalance(userId)                          → Promise<number>
+ * - consume(userId, amount, reason)             → Promise<number>  (direct charge, legacy)
+ * - reserve(userId, amount, { reason })         → Promise<Reservation>
+ * - recordUsage(reservationId, amount, reason)  → Promise<Reservation>
+ * - settle(reservationId)                       → Promise<Reservation>
+ * - refund(reservationId, { mode })             → Promise<Reservation>
+ * - getReservation(reservationId)               → Promise<Reservation|null>
+ * - getLedger(userId)                           → Promise<Array<LedgerEntry>>
+ *
+ * Reservation lifecycle:
+ *   reserved → settled           (success: actual cost charged, remainder returned)
+ *   reserved → refunded          (failure, mode 'full': everything returned)
+ *   reserved → partially_refunded (failure, mode 'unused': only unused energy returned)
+ *
+ * The reserved amount is held (deducted) when the reservation is created,
+ * so concurrent generations cannot spend the same energy twice.
+ * Usage recorded above the reserved amount is charged at settlement,
+ * bounded by the available balance.
+ *
+ * A balance that cannot cover a reservation or a direct charge raises
+ * InsufficientEnergyError.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { InsufficientEnergyError } from '../../application/errors/PipelineErrors.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+export class InMemoryEnergyRepository {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.balances] - Initial balance per user
+   * @param {Function} [options.now] - Injectable clock (tests)
+   * @param {Function} [options.generateId] - Reservation / ledger id generator
+   * @param {Object} [options.logger] - Logger port (default: process-wide JSON logger)
+   */
+  constructor({ balances = {}, now = () => Date.now(), generateId = () => randomUUID(), logger = defaultLogger } = {}) {
+    this.balances = new Map(Object.entries(balances));
+    this.now = now;
+    this.generateId = generateId;
+    this.logger = logger.child({ component: 'EnergyRepository' });
+
+    /** @type {Map<string, Object>} */
+    this.reservations = new Map();
+
+    /** @type {Array<Object>} */
+    this.ledger = [];
+  }
+
+  async getBalance(userId) {
+    return this.balances.get(userId) ?? 0;
+  }
+
+  async consume(userId, amount, reason) {
+    const balance = this.#debit(userId, amount);
+    this.#append({ userId, type: 'consume', amount: -amount, reason, reservationId: null });
+    return balance;
+  }
+
+  async reserve(userId, amount, { reason = null } = {}) {
+    if (!Number.isInteger(amount) || amount < 0) {
+      throw new Error(`INVALID_ENERGY_AMOUNT: Reservation amount must be a non-negative integer (got ${amount})`);
+    }
+
+    this.#debit(userId, amount);
+
+    const reservation = {
+      id: this.generateId(),
+      userId,
+      reason,
+      reserved: amount,
+      consumed: 0,
+      charged: null,
+      refunded: null,
+      status: 'reserved',
+      usage: [],
+      createdAt: new Date(this.now()).toISOString(),
+      closedAt: null
+    };
+
+    this.reservations.set(reservation.id, reservation);
+    this.#append({ userId, type: 'reserve', amount: -amount, reason, reservationId: reservation.id });
+
+    return structuredClone(reservation);
+  }
+
+  async recordUsage(reservationId, amount, reason) {
+    const reservation = this.#open(reservationId);
+
+    reservation.consumed += amount;
+    reservation.usage.push({ amount, reason, at: new Date(this.now()).toISOString() });
+
+    return structuredClone(reservation);
+  }
+
+  async settle(reservationId) {
+    const reservation = this.#open(reservationId);
+    this.#close(reservation, reservation.consumed, 'settled');
+    return structuredClone(reservation);
+  }
+
+  /**
+   * @param {string} reservationId
+   * @param {Object} [options]
+   * @param {'full'|'unused'} [options.mode] - 'full' returns everything; 'unused' charges recorded usage
+   */
+  async refund(reservationId, { mode = 'full' } = {}) {
+    if (mode !== 'full' && mode !== 'unused') {
+      throw new Error(`INVALID_REFUND_MODE: Unknown refund mode "${mode}"`);
+    }
+
+    const reservation = this.#open(reservationId);
+
+    if (mode === 'full') {
+      this.#close(reservation, 0, 'refunded');
+    } else {
+      this.#close(reservation, reservation.consumed, 'partially_refunded');
+    }
+
+    return structuredClone(reservation);
+  }
+
+  async getReservation(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    return reservation ? structuredClone(reservation) : null;
+  }
+
+  async getLedger(userId) {
+    return structuredClone(this.ledger.filter(entry => entry.userId === userId));
+  }
+
+  /**
+   * Close a reservation charging `cost`: the difference with the held
+   * amount is returned to the balance, or charged on top of it.
+   */
+  #close(reservation, cost, status) {
+    const { userId, reserved } = reservation;
+    let charged = cost;
+
+    if (cost < reserved) {
+      const amount = reserved - cost;
+      this.#credit(userId, amount);
+      this.#append({ userId, type: 'refund', amount, reason: status, reservationId: reservation.id });
+    } else if (cost > reserved) {
+      const overage = Math.min(cost - reserved, this.balances.get(userId) ?? 0);
+      this.#debit(userId, overage);
+      this.#append({ userId, type: 'overage', amount: -overage, reason: status, reservationId: reservation.id });
+      charged = reserved + overage;
+    }
+
+    reservation.charged = charged;
+    reservation.refunded = Math.max(reserved - charged, 0);
+    reservation.status = status;
+    reservation.closedAt = new Date(this.now()).toISOString();
+
+    this.logger.debug('energy.reservation.closed', { userId, reservationId: reservation.id, status, charged, reserved });
+  }
+
+  #open(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      throw new Error(`RESERVATION_NOT_FOUND: No energy reservation "${reservationId}"`);
+    }
+    if (reservation.status !== 'reserved') {
+      throw new Error(`RESERVATION_CLOSED: Energy reservation "${reservationId}" is already ${reservation.status}`);
+    }
+    return reservation;
+  }
+
+  #debit(userId, amount) {
+    const balance = this.balances.get(userId) ?? 0;
+    if (amount > balance) {
+      throw new InsufficientEnergyError({ required: amount, available: balance });
+    }
+    this.balances.set(userId, balance - amount);
+    return balance - amount;
+  }
+
+  #credit(userId, amount) {
+    this.balances.set(userId, (this.balances.get(userId) ?? 0) + amount);
+  }
+
+  #append({ userId, type, amount, reason, reservationId }) {
+    this.ledger.push({
+      id: this.generateId(),
+      userId,
+      type,
+      amount,
+      reason,
+      reservationId,
+      balanceAfter: this.balances.get(userId) ?? 0,
+      at: new Date(this.now()).toISOString()
+    });
+  }
+}
+
+export default InMemoryEnergyRepository;
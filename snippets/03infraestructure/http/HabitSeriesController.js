@@ -0,0 +1,327 @@
+/**
+ * Habit Series Controller (Infrastructure Layer)
+ *
+ * HTTP adapter for `POST /api/habits/series` and its asynchronous
+ * job-based variant (`/api/habits/series/jobs`).
+ *
+ * Responsibilities:
+ * - Extract the authenticated user and the request payload
+ * - Invoke the CreateHabitSeries use case
+ * - Translate the result (or failure) into an HTTP response
+ *
+ * Two response modes are supported:
+ * - JSON (default): a single response once the whole pipeline completes
+ * - SSE (Accept: text/event-stream or ?stream=true): pass-level progress
+ *   events emitted by the use case are forwarded as they happen, followed
+ *   by a final `complete` or `error` event
+ *
+ * Job mode:
+ * - POST /api/habits/series/jobs returns 202 with the job id immediately
+ * - GET  /api/habits/series/jobs/:id returns status, current pass and
+ *   the result or error once finished
+ *
+ * Progress:
+ * - POST /api/habits/series/:id/activity logs one action completion and
+ *   returns the new progress plus any rank change it caused
+ * - GET  /api/habits/series/:id/progress returns score, rank and activity
+ *
+ * Refinement and versions:
+ * - POST /api/habits/series/:id/refine revises the series from a user
+ *   request and returns the new version (honours Idempotency-Key)
+ * - GET  /api/habits/series/:id/versions lists the recorded versions
+ * - POST /api/habits/series/:id/versions/:version/restore restores one
+ *
+ * Idempotency:
+ * - Both POST endpoints honour an optional `Idempotency-Key` header
+ *   (see IdempotencyService). Replays return the original result with
+ *   `Idempotent-Replayed: true`; a replay of a request still running
+ *   returns 409 with an in-progress status
+ *
+ * Errors:
+ * - Failures are passed to the error middleware (see errorResponses.js),
+ *   which maps typed pipeline errors to a status and a JSON body:
+ *   { error, message, retryable, pass, model, details?, retryAfter? }
+ * - In SSE mode the same body is sent as the final `error` event
+ * - Rate limited generations (see RateLimitService) answer 429 with a
+ *   Retry-After header
+ *
+ * Correlation:
+ * - Every request gets a request id (the client `X-Request-Id` header when
+ *   well-formed, a new UUID otherwise), echoed in the response header.
+ *   It is bound to the logger handed to the use case, so every pass and
+ *   provider call logged for this request carries it
+ *
+ * The controller contains no orchestration and no business rules.
+ */
+
+import { createHabitSeries } from '../../application/use-cases/habit_series/CreateHabitSeriesUseCase.js';
+import { submitHabitSeriesJob, getHabitSeriesJob } from '../../application/use-cases/habit_series/HabitSeriesJobsUseCase.js';
+import { logHabitActivity, getHabitSeriesProgress } from '../../application/use-cases/habit_series/HabitSeriesProgressUseCase.js';
+import {
+  refineHabitSeries,
+  listHabitSeriesVersions,
+  restoreHabitSeriesVersion
+} from '../../application/use-cases/habit_series/RefineHabitSeriesUseCase.js';
+import { runIdempotent } from '../../application/services/IdempotencyService.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+import { wantsEventStream, openEventStream } from './sse.js';
+import { toErrorResponse, NotFoundError } from './errorResponses.js';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Seconds a client should wait before replaying an in-progress request.
+ */
+const IN_PROGRESS_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Accepted format for client-provided request ids.
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Typed 404 for an unknown (or foreign) series.
+ *
+ * @param {string} id
+ * @returns {NotFoundError}
+ */
+function seriesNotFound(id) {
+  return new NotFoundError('SERIES_NOT_FOUND', `Series "${id}" not found`);
+}
+
+/**
+ * @param {Object} deps - Use case dependencies
+ *   { habitSeriesRepository, energyRepository, aiProvider }
+ *   plus { jobQueue, jobStore } for job mode
+ *   plus { idempotencyStore } to honour Idempotency-Key headers
+ *   plus { rateLimitStore, rateLimits } to rate limit generations and refinements
+ *   plus { eventPublisher } (optional) for progress domain events
+ *   plus { logger } (optional, see application/logging/Logger.js)
+ * @returns {Object<string, Function>} Route handlers
+ */
+export function createHabitSeriesController(deps) {
+  /**
+   * Resolve the request id and bind it, with the user, to a request logger.
+   *
+   * @returns {{ userId: string, requestDeps: Object }}
+   */
+  function withRequestContext(req, res) {
+    const userId = req.user?.uid;
+    const header = req.get?.('X-Request-Id') ?? req.headers?.['x-request-id'];
+    const requestId = REQUEST_ID_PATTERN.test(header ?? '') ? header : randomUUID();
+
+    res.setHeader('X-Request-Id', requestId);
+
+    const logger = (deps.logger ?? defaultLogger).child({ requestId, userId });
+    return { userId, requestDeps: { ...deps, logger } };
+  }
+
+  /**
+   * Run an operation under the request Idempotency-Key, if any.
+   *
+   * @returns {Promise<{ status: 'completed'|'in_progress', result: *, replayed: boolean }>}
+   */
+  async function idempotent(req, scope, logger, operation) {
+    const key = req.get?.('Idempotency-Key') ?? req.headers?.['idempotency-key'];
+
+    if (!key || !deps.idempotencyStore) {
+      return { status: 'completed', result: await operation(), replayed: false };
+    }
+
+    return runIdempotent(
+      { store: deps.idempotencyStore, scope, userId: req.user?.uid, key, payload: req.body, logger },
+      operation
+    );
+  }
+
+  /**
+   * Shared HTTP translation of idempotency outcomes that are not results.
+   *
+   * @returns {boolean} true if a response was sent
+   */
+  function respondToIdempotencyOutcome(res, outcome) {
+    if (outcome.status === 'in_progress') {
+      res.setHeader('Retry-After', String(IN_PROGRESS_RETRY_AFTER_SECONDS));
+      res.status(409).json({
+        error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+        status: 'in_progress',
+        message: 'A request with this Idempotency-Key is still being processed',
+        retryable: true,
+        pass: null,
+        model: null,
+        retryAfter: IN_PROGRESS_RETRY_AFTER_SECONDS
+      });
+      return true;
+    }
+
+    if (outcome.replayed) {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+
+    return false;
+  }
+
+  /**
+   * POST /api/habits/series
+   */
+  async function create(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    if (!wantsEventStream(req)) {
+      try {
+        const outcome = await idempotent(req, 'habit_series.create', requestDeps.logger,
+          () => createHabitSeries(userId, req.body, requestDeps));
+
+        if (respondToIdempotencyOutcome(res, outcome)) return;
+        return res.status(201).json(outcome.result);
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    const stream = openEventStream(res);
+
+    try {
+      const outcome = await idempotent(req, 'habit_series.create', requestDeps.logger,
+        () => createHabitSeries(userId, req.body, {
+          ...requestDeps,
+          onProgress: ({ type, ...data }) => stream.send(type, data),
+        }));
+
+      if (outcome.status === 'in_progress') {
+        stream.send('in_progress', { retryAfter: IN_PROGRESS_RETRY_AFTER_SECONDS });
+      } else {
+        stream.send('complete', outcome.replayed ? { ...outcome.result, replayed: true } : outcome.result);
+      }
+    } catch (error) {
+      requestDeps.logger.error('habit_series.stream.failed', { error });
+      stream.send('error', toErrorResponse(error).body);
+    } finally {
+      stream.close();
+    }
+  }
+
+  /**
+   * POST /api/habits/series/jobs
+   */
+  async function submitJob(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const outcome = await idempotent(req, 'habit_series.job', requestDeps.logger,
+        () => submitHabitSeriesJob(userId, req.body, requestDeps));
+
+      if (respondToIdempotencyOutcome(res, outcome)) return;
+
+      const job = outcome.result;
+      res.setHeader('Location', `/api/habits/series/jobs/${job.id}`);
+      return res.status(202).json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/habits/series/jobs/:id
+   */
+  async function getJob(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const job = await getHabitSeriesJob(userId, req.params.id, requestDeps);
+      if (!job) {
+        return next(new NotFoundError('JOB_NOT_FOUND', `Job "${req.params.id}" not found`));
+      }
+      return res.status(200).json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/habits/series/:id/activity
+   */
+  async function logActivity(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const result = await logHabitActivity(userId, req.params.id, req.body, requestDeps);
+      if (!result) return next(seriesNotFound(req.params.id));
+      return res.status(200).json(result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/habits/series/:id/progress
+   */
+  async function getProgress(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const progress = await getHabitSeriesProgress(userId, req.params.id, requestDeps);
+      if (!progress) return next(seriesNotFound(req.params.id));
+      return res.status(200).json(progress);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+
+  /**
+   * POST /api/habits/series/:id/refine
+   */
+  async function refine(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const outcome = await idempotent(req, `habit_series.refine:${req.params.id}`, requestDeps.logger,
+        () => refineHabitSeries(userId, req.params.id, req.body, requestDeps));
+
+      if (respondToIdempotencyOutcome(res, outcome)) return;
+      if (!outcome.result) return next(seriesNotFound(req.params.id));
+      return res.status(200).json(outcome.result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/habits/series/:id/versions
+   */
+  async function listVersions(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const history = await listHabitSeriesVersions(userId, req.params.id, requestDeps);
+      if (!history) return next(seriesNotFound(req.params.id));
+      return res.status(200).json(history);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/habits/series/:id/versions/:version/restore
+   */
+  async function restoreVersion(req, res, next) {
+    const { userId, requestDeps } = withRequestContext(req, res);
+
+    try {
+      const restored = await restoreHabitSeriesVersion(userId, req.params.id, req.params.version, requestDeps);
+      if (!restored) {
+        return next(new NotFoundError(
+          'VERSION_NOT_FOUND',
+          `Version "${req.params.version}" of series "${req.params.id}" not found`
+        ));
+      }
+      return res.status(200).json(restored);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  return { create, submitJob, getJob, logActivity, getProgress, refine, listVersions, restoreVersion };
+}
+
+export default createHabitSeriesController;
@@ -0,0 +1,140 @@
+/**
+ * Error Responses (Infrastructure Layer)
+ *
+ * Single translation point from pipeline failures to HTTP responses, so
+ * every endpoint (JSON, SSE, job results) reports errors the same way.
+ *
+ * Body shape:
+ *   { error: CODE, message, retryable, pass, model, details?, retryAfter? }
+ *   plus the class-specific fields of the error (e.g. violation, required, available)
+ *
+ * Status by code:
+ * - 400 VALIDATION_FAILED, IDEMPOTENCY_KEY_INVALID,  request rejected, fix it
+ *       INVALID_CURSOR
+ * - 402 INSUFFICIENT_ENERGY                          balance too low
+ * - 404 SERIES_NOT_FOUND, VERSION_NOT_FOUND,         missing, deleted or not owned
+ *       JOB_NOT_FOUND
+ * - 409 SERIES_REVISION_CONFLICT                     content changed during a refinement
+ * - 422 IDEMPOTENCY_KEY_MISMATCH                     key reused with another payload
+ * - 429 RATE_LIMITED, TOO_MANY_IN_FLIGHT, PROVIDER_BUSY
+ * - 502 AI_CONTRACT_VIOLATION, PROVIDER_REQUEST_REJECTED
+ * - 503 PROVIDER_UNAVAILABLE, PROVIDER_RATE_LIMITED, JOB_QUEUE_FULL,
+ *       IDEMPOTENCY_STORE_FULL
+ * - 500 MODEL_NOT_SUPPORTED and anything untyped (INTERNAL_ERROR, no details leaked)
+ *
+ * Errors carrying a retry hint also set the Retry-After header.
+ */
+
+import { PipelineError } from '../../application/errors/PipelineErrors.js';
+import { IdempotencyError } from '../../application/services/IdempotencyService.js';
+import { ValidationError } from '../../application/use-cases/errors/index.js';
+import { HabitSeriesRepositoryError } from '../../domain/ports/IHabitSeriesRepository.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+/**
+ * Error raised by the HTTP adapter when a use case finds nothing for the
+ * requested id (use cases answer null, they do not know about 404s).
+ */
+export class NotFoundError extends Error {
+  /**
+   * @param {'SERIES_NOT_FOUND'|'VERSION_NOT_FOUND'|'JOB_NOT_FOUND'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(`${code}: ${message}`);
+    this.name = 'NotFoundError';
+    this.code = code;
+  }
+}
+
+export const ERROR_HTTP_STATUS = Object.freeze({
+  VALIDATION_FAILED: 400,
+  IDEMPOTENCY_KEY_INVALID: 400,
+  INVALID_CURSOR: 400,
+  INSUFFICIENT_ENERGY: 402,
+  SERIES_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  SERIES_REVISION_CONFLICT: 409,
+  IDEMPOTENCY_KEY_MISMATCH: 422,
+  RATE_LIMITED: 429,
+  TOO_MANY_IN_FLIGHT: 429,
+  PROVIDER_BUSY: 429,
+  AI_CONTRACT_VIOLATION: 502,
+  PROVIDER_REQUEST_REJECTED: 502,
+  PROVIDER_UNAVAILABLE: 503,
+  PROVIDER_RATE_LIMITED: 503,
+  JOB_QUEUE_FULL: 503,
+  IDEMPOTENCY_STORE_FULL: 503,
+  MODEL_NOT_SUPPORTED: 500,
+  INTERNAL_ERROR: 500,
+});
+
+/**
+ * @param {Error} error
+ * @returns {{ status: number, headers: Object<string, string>, body: Object }}
+ */
+export function toErrorResponse(error) {
+  let body;
+
+  if (error instanceof PipelineError) {
+    // Class-specific fields (violation, required / available...) are kept
+    const { code, retryAfterSeconds, ...fields } = error.toJSON();
+    body = {
+      error: code,
+      ...fields,
+      ...(retryAfterSeconds != null && { retryAfter: retryAfterSeconds }),
+    };
+  } else if (
+    error instanceof IdempotencyError
+    || error instanceof HabitSeriesRepositoryError
+    || error instanceof NotFoundError
+  ) {
+    body = { error: error.code, message: error.message, retryable: error.retryable ?? false, pass: null, model: null };
+  } else if (error instanceof ValidationError) {
+    body = {
+      error: 'VALIDATION_FAILED',
+      message: error.message,
+      retryable: false,
+      pass: null,
+      model: null,
+      ...(error.details && { details: error.details }),
+    };
+  } else {
+    body = { error: 'INTERNAL_ERROR', message: 'Unexpected error', retryable: false, pass: null, model: null };
+  }
+
+  return {
+    status: ERROR_HTTP_STATUS[body.error] ?? 500,
+    headers: body.retryAfter != null ? { 'Retry-After': String(body.retryAfter) } : {},
+    body,
+  };
+}
+
+/**
+ * Express error middleware for the habit series routes.
+ *
+ * @param {Object} [logger] - Logger port (default: process-wide JSON logger)
+ * @returns {Function} (error, req, res, next) => void
+ */
+export function createErrorHandler(logger = defaultLogger) {
+  return function handleError(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    const { status, headers, body } = toErrorResponse(error);
+    const level = status >= 500 ? 'error' : 'warn';
+    logger[level]('http.request.failed', {
+      method: req.method,
+      path: req.path,
+      status,
+      code: body.error,
+      requestId: res.getHeader?.('X-Request-Id'),
+      error,
+    });
+
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    res.status(status).json(body);
+  };
+}
+
+export default { toErrorResponse, createErrorHandler, ERROR_HTTP_STATUS, NotFoundError };
@@ -0,0 +1,45 @@
+/**
+ * Habit Series Routes (Infrastructure Layer)
+ *
+ * Wires the habit series HTTP endpoints to their controller.
+ * Authentication is provided by the caller as middleware, so this module
+ * stays independent of the identity provider.
+ */
+
+import { Router } from 'express';
+import { createHabitSeriesController } from './HabitSeriesController.js';
+import { createErrorHandler } from './errorResponses.js';
+
+/**
+ * @param {Object} deps - Use case dependencies
+ * @param {Object} options
+ * @param {Function} options.authenticate - Middleware resolving req.user
+ * @returns {Router}
+ */
+export function createHabitSeriesRouter(deps, { authenticate }) {
+  const router = Router();
+  const controller = createHabitSeriesController(deps);
+
+  // Supports JSON and streamed (SSE) responses, see HabitSeriesController
+  router.post('/api/habits/series', authenticate, controller.create);
+
+  // Asynchronous job mode
+  router.post('/api/habits/series/jobs', authenticate, controller.submitJob);
+  router.get('/api/habits/series/jobs/:id', authenticate, controller.getJob);
+
+  // Progress of an existing series
+  router.post('/api/habits/series/:id/activity', authenticate, controller.logActivity);
+  router.get('/api/habits/series/:id/progress', authenticate, controller.getProgress);
+
+  // Refinement and version history
+  router.post('/api/habits/series/:id/refine', authenticate, controller.refine);
+  router.get('/api/habits/series/:id/versions', authenticate, controller.listVersions);
+  router.post('/api/habits/series/:id/versions/:version/restore', authenticate, controller.restoreVersion);
+
+  // Typed pipeline errors → status + JSON body (see errorResponses.js)
+  router.use(createErrorHandler(deps.logger));
+
+  return router;
+}
+
+export default createHabitSeriesRouter;
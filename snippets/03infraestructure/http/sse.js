@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events helper (Infrastructure Layer)
+ *
+ * Minimal SSE writer on top of a Node/Express response object.
+ * It only handles the wire format; WHAT is streamed is decided by the
+ * controller, and WHEN events happen is decided by the use case.
+ */
+
+/**
+ * Whether the client asked for a streamed response.
+ *
+ * Streaming is selected either with `Accept: text/event-stream`
+ * or with the `?stream=true` query flag (for clients that cannot set headers).
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept ?? '';
+  const flag = String(req.query?.stream ?? '').toLowerCase();
+  return accept.includes('text/event-stream') || flag === 'true' || flag === '1';
+}
+
+/**
+ * Switch the response to SSE mode.
+ *
+ * A client disconnect is detected on the response: the request 'close'
+ * event also fires once the request body has been read, which would end
+ * the stream before anything is sent.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - Comment ping interval keeping proxies from closing the stream
+ * @returns {{ send: Function, close: Function, isOpen: Function }}
+ */
+export function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  let open = true;
+  let sequence = 0;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so events reach the client immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => {
+    if (open) res.write(': ping\n\n');
+  }, heartbeatMs);
+
+  const close = () => {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  /**
+   * @param {string} event - Event name (e.g. 'creative.delta')
+   * @param {Object} data - JSON-serializable payload
+   */
+  const send = (event, data) => {
+    if (!open) return;
+    res.write(`id: ${++sequence}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return { send, close, isOpen: () => open };
+}
+
+export default { wantsEventStream, openEventStream };
@@ -0,0 +1,155 @@
+/**
+ * In-Memory Idempotency Store (Infrastructure Layer)
+ *
+ * Default implementation of the idempotency store port, used by
+ * IdempotencyService. Suitable for tests and single-instance deployments;
+ * multi-instance deployments need a shared store (Redis, Firestore...)
+ * implementing the same interface with an atomic `begin`.
+ *
+ * Interface:
+ * - begin(key, fingerprint)      → Promise<{ state: 'acquired', token }
+ *                                        | { state: 'in_progress' }
+ *                                        | { state: 'completed', result }
+ *                                        | { state: 'mismatch' }
+ *                                        | { state: 'full' }>
+ * - complete(key, token, result) → Promise<boolean>
+ * - release(key, token)          → Promise<boolean>
+ *
+ * Ownership:
+ * - `begin` hands the caller an owner token. complete / release only act
+ *   when the token still owns the in-progress lock: a request whose lock
+ *   expired and was taken over by a retry cannot overwrite or delete the
+ *   retry's entry. They resolve to false when they did nothing.
+ *
+ * Entries expire:
+ * - in-progress locks after `lockTtlMs` (a crashed request cannot block a key forever)
+ * - completed results after `ttlMs`
+ *
+ * Memory is bounded: expired entries are swept at most every
+ * `sweepIntervalMs` (on the next begin, no timer). Once `maxEntries` is
+ * reached, a new key first evicts expired entries, then the oldest
+ * completed ones (a later retry re-runs instead of replaying). In-progress
+ * locks are never evicted, since that would let a retry run the operation
+ * twice: when only locks are left, begin answers 'full'.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+export class InMemoryIdempotencyStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Retention of completed results (default: 24h)
+   * @param {number} [options.lockTtlMs] - Maximum in-progress lock duration (default: 5 min)
+   * @param {number} [options.maxEntries] - Entries kept before completed ones are evicted (default: 10000)
+   * @param {number} [options.sweepIntervalMs] - Minimum time between sweeps of expired entries (default: 1 min)
+   * @param {Function} [options.now] - Injectable clock (tests)
+   * @param {Function} [options.generateToken] - Injectable owner token generator (tests)
+   */
+  constructor({
+    ttlMs = 24 * 60 * 60 * 1000,
+    lockTtlMs = 5 * 60 * 1000,
+    maxEntries = 10000,
+    sweepIntervalMs = 60 * 1000,
+    now = () => Date.now(),
+    generateToken = randomUUID,
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.lockTtlMs = lockTtlMs;
+    this.maxEntries = maxEntries;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.now = now;
+    this.generateToken = generateToken;
+    this.lastSweepAt = this.now();
+
+    /** @type {Map<string, { fingerprint: string, status: string, token: string, result: *, expiresAt: number }>} */
+    this.entries = new Map();
+  }
+
+  async begin(key, fingerprint) {
+    this.#sweep();
+
+    const entry = this.#live(key);
+
+    if (!entry) {
+      if (!this.#makeRoom()) return { state: 'full' };
+      const token = this.generateToken();
+      this.entries.set(key, {
+        fingerprint,
+        status: 'in_progress',
+        token,
+        result: null,
+        expiresAt: this.now() + this.lockTtlMs,
+      });
+      return { state: 'acquired', token };
+    }
+
+    if (entry.fingerprint !== fingerprint) return { state: 'mismatch' };
+    if (entry.status === 'in_progress') return { state: 'in_progress' };
+    return { state: 'completed', result: structuredClone(entry.result) };
+  }
+
+  async complete(key, token, result) {
+    const entry = this.#owned(key, token);
+    if (!entry) return false;
+
+    entry.status = 'completed';
+    entry.result = structuredClone(result);
+    entry.expiresAt = this.now() + this.ttlMs;
+    return true;
+  }
+
+  async release(key, token) {
+    if (!this.#owned(key, token)) return false;
+
+    this.entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Live in-progress entry still held by `token`, or null.
+   */
+  #owned(key, token) {
+    const entry = this.#live(key);
+    return entry && entry.status === 'in_progress' && entry.token === token ? entry : null;
+  }
+
+  #live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+
+  #sweep({ force = false } = {}) {
+    const now = this.now();
+    if (!force && now - this.lastSweepAt < this.sweepIntervalMs) return;
+
+    this.lastSweepAt = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Make room for one more entry: expired entries first, then the oldest
+   * completed ones (Map insertion order). In-progress locks are kept.
+   *
+   * @returns {boolean} false when only in-progress locks are left
+   */
+  #makeRoom() {
+    if (this.entries.size < this.maxEntries) return true;
+
+    this.#sweep({ force: true });
+
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size < this.maxEntries) break;
+      if (entry.status === 'completed') this.entries.delete(key);
+    }
+
+    return this.entries.size < this.maxEntries;
+  }
+}
+
+export default InMemoryIdempotencyStore;
@@ -0,0 +1,82 @@
+/**
+ * In-Memory Job Store (Infrastructure Layer)
+ *
+ * Default backing store for InProcessJobQueue, intended for tests and
+ * single-instance deployments. Jobs are lost on restart.
+ *
+ * Any other store (Redis, Firestore, SQL...) can replace it as long as it
+ * implements the same asynchronous interface:
+ *
+ * - create(job)        → Promise<Job>
+ * - get(id)            → Promise<Job|null>
+ * - update(id, patch)  → Promise<Job>   (shallow merge)
+ *
+ * Stores return copies, never live references, so callers cannot mutate
+ * persisted state by accident.
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {string} type - e.g. 'habit_series'
+ * @property {string} userId - Owner of the job
+ * @property {'queued'|'running'|'succeeded'|'failed'} status
+ * @property {string|null} currentPass - Last pipeline stage reported
+ * @property {*} result - Use case result (when succeeded)
+ * @property {{ name: string, message: string }|null} error - Failure (when failed)
+ * @property {string} createdAt
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ */
+
+export class InMemoryJobStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxJobs] - Oldest finished jobs are evicted beyond this size
+   */
+  constructor({ maxJobs = 1000 } = {}) {
+    this.maxJobs = maxJobs;
+
+    /** @type {Map<string, Job>} */
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    if (this.jobs.has(job.id)) {
+      throw new Error(`JOB_ALREADY_EXISTS: Job "${job.id}" already exists`);
+    }
+
+    this.jobs.set(job.id, structuredClone(job));
+    this.#evict();
+    return structuredClone(job);
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`JOB_NOT_FOUND: Job "${id}" does not exist`);
+    }
+
+    const updated = { ...job, ...structuredClone(patch) };
+    this.jobs.set(id, updated);
+    return structuredClone(updated);
+  }
+
+  #evict() {
+    if (this.jobs.size <= this.maxJobs) return;
+
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (job.status === 'succeeded' || job.status === 'failed') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default InMemoryJobStore;
@@ -0,0 +1,185 @@
+/**
+ * In-Process Job Queue (Infrastructure Layer)
+ *
+ * Runs long operations (e.g. multi-pass habit series generation) outside
+ * of the HTTP request lifecycle, so clients can submit work and poll for
+ * its status instead of holding a connection open for tens of seconds.
+ *
+ * Characteristics:
+ * - FIFO execution with a fixed concurrency limit
+ * - Bounded backlog: submissions beyond `maxQueued` are rejected with a
+ *   retryable JobQueueFullError
+ * - Job state lives in a pluggable store (see InMemoryJobStore for the interface)
+ *
+ * The queue knows nothing about habit series. It runs a handler and records
+ * lifecycle transitions: queued → running → succeeded | failed.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { PipelineError } from '../../application/errors/PipelineErrors.js';
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+/**
+ * Error raised when the backlog is full. The queue drains on its own,
+ * so the submission can be retried later.
+ */
+export class JobQueueFullError extends PipelineError {
+  /**
+   * @param {number} pending - Jobs waiting to start
+   * @param {number} retryAfterSeconds
+   */
+  constructor(pending, retryAfterSeconds) {
+    super('JOB_QUEUE_FULL', `${pending} jobs already waiting`, { retryable: true });
+    this.name = 'JobQueueFullError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfterSeconds: this.retryAfterSeconds };
+  }
+}
+
+export class InProcessJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Job store (create / get / update)
+   * @param {number} [options.concurrency] - Maximum jobs running at once
+   * @param {number} [options.maxQueued] - Maximum jobs waiting to start
+   * @param {number} [options.fullRetryAfterSeconds] - Retry hint given when the backlog is full
+   * @param {Function} [options.generateId] - Injectable id generator (tests)
+   * @param {Object} [options.logger] - Logger port (default: process-wide JSON logger)
+   */
+  constructor({
+    store,
+    concurrency = 2,
+    maxQueued = 100,
+    fullRetryAfterSeconds = 30,
+    generateId = randomUUID,
+    logger = defaultLogger,
+  }) {
+    if (!store) {
+      throw new Error('INVALID_JOB_QUEUE: A job store is required');
+    }
+
+    this.store = store;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.fullRetryAfterSeconds = fullRetryAfterSeconds;
+    this.generateId = generateId;
+    this.logger = logger.child({ component: 'JobQueue' });
+
+    this.pending = [];
+    this.running = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Submit a job.
+   *
+   * The handler receives `{ job, reportProgress }`, where reportProgress(pass)
+   * records the stage the job is currently in.
+   *
+   * @param {Object} params
+   * @param {string} params.type - Job type (e.g. 'habit_series')
+   * @param {string} params.userId - Job owner
+   * @param {Function} handler - async ({ job, reportProgress }) => result
+   * @returns {Promise<Object>} The created job (status: queued)
+   * @throws {JobQueueFullError} when `maxQueued` jobs are already waiting
+   */
+  async enqueue({ type, userId }, handler) {
+    if (this.pending.length >= this.maxQueued) {
+      throw new JobQueueFullError(this.pending.length, this.fullRetryAfterSeconds);
+    }
+
+    const job = await this.store.create({
+      id: this.generateId(),
+      type,
+      userId,
+      status: 'queued',
+      currentPass: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    });
+
+    this.pending.push({ job, handler });
+    this.#drain();
+
+    return job;
+  }
+
+  /**
+   * Current load, e.g. for diagnostics.
+   *
+   * @returns {{ running: number, queued: number, concurrency: number }}
+   */
+  stats() {
+    return { running: this.running, queued: this.pending.length, concurrency: this.concurrency };
+  }
+
+  /**
+   * Resolves once no job is running or waiting (tests, graceful shutdown).
+   *
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.running === 0 && this.pending.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  #drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const next = this.pending.shift();
+      this.running++;
+
+      this.#run(next).finally(() => {
+        this.running--;
+        this.#drain();
+
+        if (this.running === 0 && this.pending.length === 0) {
+          this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+      });
+    }
+  }
+
+  async #run({ job, handler }) {
+    const { id } = job;
+    const logger = this.logger.child({ jobId: id, jobType: job.type });
+
+    try {
+      await this.store.update(id, { status: 'running', startedAt: new Date().toISOString() });
+
+      const reportProgress = (pass) => {
+        this.store.update(id, { currentPass: pass }).catch(err => {
+          logger.warn('job.progress_update_failed', { pass, error: err });
+        });
+      };
+
+      const result = await handler({ job, reportProgress });
+
+      await this.store.update(id, {
+        status: 'succeeded',
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('job.failed', { error });
+
+      await this.store.update(id, {
+        status: 'failed',
+        // Typed pipeline errors keep their code, retryable flag, pass and model
+        error: typeof error.toJSON === 'function'
+          ? error.toJSON()
+          : { name: error.name, message: error.message },
+        finishedAt: new Date().toISOString(),
+      }).catch(err => {
+        logger.error('job.failure_record_failed', { error: err });
+      });
+    }
+  }
+}
+
+export default InProcessJobQueue;
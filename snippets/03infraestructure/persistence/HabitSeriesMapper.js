@@ -0,0 +1,117 @@
+/**
+ * Habit Series Mapper (Infrastructure Layer)
+ *
+ * Translates between the HabitSeries entity and the plain record shape
+ * shared by the repository adapters, and builds the public DTO.
+ *
+ * Record shape (JSON-safe):
+ *   { id, title, description, actions: [{ name, description, difficulty }],
+ *     totalScore, createdAt, lastActivityAt }   (dates as ISO strings)
+ *
+ * Rehydration goes through the entity factories, so a record that no
+ * longer satisfies the domain invariants fails loudly on read instead of
+ * producing an invalid entity.
+ */
+
+import { HabitSeries } from '../../domain/entities/HabitSeries.js';
+import { HabitSeriesRepositoryError } from '../../domain/ports/IHabitSeriesRepository.js';
+
+/**
+ * @param {HabitSeries} series
+ * @returns {Object} Record
+ */
+export function toRecord(series) {
+  return {
+    id: series.id,
+    title: series.title,
+    description: series.description,
+    actions: series.actions.map(action => ({
+      name: action.name,
+      description: action.description,
+      difficulty: String(action.difficulty)
+    })),
+    totalScore: series.totalScore,
+    createdAt: series.createdAt.toISOString(),
+    lastActivityAt: series.lastActivityAt.toISOString()
+  };
+}
+
+/**
+ * @param {Object} record
+ * @returns {HabitSeries}
+ */
+export function toEntity(record) {
+  // Actions are built by the same factory that validates AI output
+  const { actions } = HabitSeries.fromAIOutput(record, record.id);
+
+  return HabitSeries.create({
+    id: record.id,
+    title: record.title,
+    description: record.description,
+    actions,
+    totalScore: record.totalScore,
+    createdAt: new Date(record.createdAt),
+    lastActivityAt: new Date(record.lastActivityAt)
+  });
+}
+
+/**
+ * Public representation (see contracts/res-example.json).
+ *
+ * @param {HabitSeries} series
+ * @returns {Object}
+ */
+export function toDTO(series) {
+  const { id, title, description, actions, totalScore, createdAt, lastActivityAt } = toRecord(series);
+  return { id, title, description, actions, rank: series.getRank(), totalScore, createdAt, lastActivityAt };
+}
+
+/**
+ * Result of createFromAI.
+ *
+ * @param {HabitSeries} series
+ * @returns {{ id: string, series: HabitSeries, toDTO: Function }}
+ */
+export function toPersisted(series) {
+  return { id: series.id, series, toDTO: () => toDTO(series) };
+}
+
+/**
+ * Opaque pagination cursor: position of the last item of a page
+ * in the (createdAt DESC, id DESC) order.
+ */
+export function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([record.createdAt, record.id])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{ createdAt: string, id: string }}
+ * @throws {HabitSeriesRepositoryError} INVALID_CURSOR
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || typeof id !== 'string') throw new Error('shape');
+    return { createdAt, id };
+  } catch {
+    throw new HabitSeriesRepositoryError('INVALID_CURSOR', 'Pagination cursor is malformed');
+  }
+}
+
+/**
+ * Page size bounds shared by the adapters.
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * @param {number} [limit]
+ * @returns {number}
+ */
+export function clampPageSize(limit) {
+  const size = Number.isInteger(limit) ? limit : DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+export default { toRecord, toEntity, toDTO, toPersisted, encodeCursor, decodeCursor, clampPageSize };
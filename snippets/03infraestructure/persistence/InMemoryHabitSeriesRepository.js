@@ -0,0 +1,161 @@
+/**
+ * In-Memory Habit Series Repository (Infrastructure Layer)
+ *
+ * Implementation of IHabitSeriesRepository for tests and offline runs.
+ *
+ * State is held as plain records (see HabitSeriesMapper) and cloned on
+ * every read and write, so callers can never mutate stored state and
+ * every read exercises the same rehydration path as a real store.
+ *
+ * Transactions:
+ * - Each multi-step write (series + active counter, read + change +
+ *   activity + versions) runs synchronously with no await in between. In a single-threaded
+ *   runtime nothing can interleave with it, which gives it the same
+ *   all-or-nothing behaviour as a database transaction.
+ */
+
+import { IHabitSeriesRepository } from '../../domain/ports/IHabitSeriesRepository.js';
+import {
+  toRecord,
+  toEntity,
+  toPersisted,
+  encodeCursor,
+  decodeCursor,
+  clampPageSize
+} from './HabitSeriesMapper.js';
+
+/**
+ * Newest first; ties broken by id, so pages are stable.
+ */
+function compareNewestFirst(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+export class InMemoryHabitSeriesRepository extends IHabitSeriesRepository {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Injectable clock (tests)
+   */
+  constructor({ now = () => new Date() } = {}) {
+    super();
+    this.now = now;
+
+    /** @type {Map<string, { userId: string, record: Object, promptVersions: Object|null, deletedAt: string|null }>} */
+    this.series = new Map();
+    /** @type {Map<string, number>} userId → active series */
+    this.activeCounters = new Map();
+    /** @type {Map<string, Array<Object>>} */
+    this.activity = new Map();
+    /** @type {Map<string, Array<Object>>} */
+    this.versions = new Map();
+  }
+
+  async createFromAI(userId, series, { promptVersions = null } = {}) {
+    const key = this.#key(userId, series.id);
+    if (this.series.has(key)) {
+      throw new Error(`SERIES_ALREADY_EXISTS: Series "${series.id}" already exists`);
+    }
+
+    // Series + counter: one synchronous step
+    this.series.set(key, {
+      userId,
+      record: structuredClone(toRecord(series)),
+      promptVersions: structuredClone(promptVersions),
+      deletedAt: null,
+    });
+    this.activeCounters.set(userId, (this.activeCounters.get(userId) ?? 0) + 1);
+
+    return toPersisted(series);
+  }
+
+  async findById(userId, seriesId) {
+    const entry = this.#live(userId, seriesId);
+    return entry ? toEntity(structuredClone(entry.record)) : null;
+  }
+
+  async listByUser(userId, { limit, cursor } = {}) {
+    const size = clampPageSize(limit);
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    const records = [...this.series.values()]
+      .filter(entry => entry.userId === userId && entry.deletedAt === null)
+      .map(entry => entry.record)
+      .sort(compareNewestFirst)
+      .filter(record => !after || compareNewestFirst(record, after) > 0);
+
+    const page = records.slice(0, size);
+    const hasMore = records.length > size;
+
+    return {
+      items: page.map(record => toEntity(structuredClone(record))),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+  }
+
+  async update(userId, seriesId, change) {
+    const entry = this.#live(userId, seriesId);
+    if (!entry) return null;
+
+    const key = this.#key(userId, seriesId);
+    const history = this.versions.get(key) ?? [];
+
+    // Read + change + writes: one synchronous step
+    const result = change(toEntity(structuredClone(entry.record)), { latestVersion: history.length });
+
+    const createdAt = this.now().toISOString();
+    const added = (result.versions ?? []).map((record, index) => ({
+      ...structuredClone(record),
+      version: history.length + index + 1,
+      createdAt,
+    }));
+
+    entry.record = structuredClone(toRecord(result.series));
+    if (result.activity) {
+      this.activity.set(key, [...(this.activity.get(key) ?? []), structuredClone(result.activity)]);
+    }
+    this.versions.set(key, [...history, ...added]);
+
+    return { series: result.series, versions: structuredClone(added) };
+  }
+
+  async softDelete(userId, seriesId) {
+    const entry = this.#live(userId, seriesId);
+    if (!entry) return false;
+
+    // Deletion + counter: one synchronous step
+    entry.deletedAt = this.now().toISOString();
+    this.activeCounters.set(userId, Math.max((this.activeCounters.get(userId) ?? 0) - 1, 0));
+    return true;
+  }
+
+  async countActiveSeries(userId) {
+    return this.activeCounters.get(userId) ?? 0;
+  }
+
+  async listActivity(userId, seriesId, { limit = 20 } = {}) {
+    const entries = this.activity.get(this.#key(userId, seriesId)) ?? [];
+    return structuredClone(entries.slice(-limit).reverse());
+  }
+
+  async listVersions(userId, seriesId) {
+    return structuredClone(this.versions.get(this.#key(userId, seriesId)) ?? []);
+  }
+
+  async getVersion(userId, seriesId, version) {
+    const match = (this.versions.get(this.#key(userId, seriesId)) ?? []).find(v => v.version === version);
+    return match ? structuredClone(match) : null;
+  }
+
+  #key(userId, seriesId) {
+    return `${userId}:${seriesId}`;
+  }
+
+  #live(userId, seriesId) {
+    const entry = this.series.get(this.#key(userId, seriesId));
+    return entry && entry.deletedAt === null ? entry : null;
+  }
+}
+
+export default InMemoryHabitSeriesRepository;
@@ -0,0 +1,347 @@
+/**
+ * SQLite Habit Series Repository (Infrastructure Layer)
+ *
+ * File-backed implementation of IHabitSeriesRepository for local and dev
+ * runs, on top of better-sqlite3 (synchronous driver, one connection).
+ *
+ * Transactions:
+ * - Series insert + active counter increment, soft delete + counter
+ *   decrement, and update (read + change + series, activity and version
+ *   writes) each run inside db.transaction(). Either every statement is
+ *   committed or none is, including when the process crashes mid-way
+ *   (SQLite journal).
+ * - update() runs as BEGIN IMMEDIATE: the write lock is taken before the
+ *   read, so another connection cannot change the row in between.
+ *
+ * Storage:
+ * - actions, prompt versions and version content are JSON text columns
+ * - dates are ISO strings, which sort chronologically as text
+ * - WAL journal mode, so readers never block the writer
+ *
+ * The schema is created on construction (CREATE TABLE IF NOT EXISTS);
+ * there is no migration tool in this case study. Users whose series
+ * predate the counters table get their counter backfilled from their
+ * non-deleted series on the same run (see IHabitSeriesRepository).
+ */
+
+import Database from 'better-sqlite3';
+import { IHabitSeriesRepository } from '../../domain/ports/IHabitSeriesRepository.js';
+import {
+  toRecord,
+  toEntity,
+  toPersisted,
+  encodeCursor,
+  decodeCursor,
+  clampPageSize
+} from './HabitSeriesMapper.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS habit_series (
+    user_id          TEXT    NOT NULL,
+    id               TEXT    NOT NULL,
+    title            TEXT    NOT NULL,
+    description      TEXT    NOT NULL,
+    actions          TEXT    NOT NULL,
+    total_score      INTEGER NOT NULL CHECK (total_score >= 0),
+    prompt_versions  TEXT,
+    created_at       TEXT    NOT NULL,
+    last_activity_at TEXT    NOT NULL,
+    updated_at       TEXT    NOT NULL,
+    deleted_at       TEXT,
+    PRIMARY KEY (user_id, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS habit_series_by_user
+    ON habit_series (user_id, created_at DESC, id DESC)
+    WHERE deleted_at IS NULL;
+
+  CREATE TABLE IF NOT EXISTS user_series_counters (
+    user_id       TEXT    PRIMARY KEY,
+    active_series INTEGER NOT NULL DEFAULT 0 CHECK (active_series >= 0)
+  );
+
+  CREATE TABLE IF NOT EXISTS habit_series_activity (
+    seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id     TEXT    NOT NULL,
+    series_id   TEXT    NOT NULL,
+    action_id   INTEGER NOT NULL,
+    action_name TEXT    NOT NULL,
+    points      INTEGER NOT NULL,
+    at          TEXT    NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS habit_series_activity_by_series
+    ON habit_series_activity (user_id, series_id, seq DESC);
+
+  CREATE TABLE IF NOT EXISTS habit_series_versions (
+    user_id         TEXT    NOT NULL,
+    series_id       TEXT    NOT NULL,
+    version         INTEGER NOT NULL,
+    source          TEXT    NOT NULL,
+    instruction     TEXT,
+    restored_from   INTEGER,
+    prompt_versions TEXT,
+    content         TEXT    NOT NULL,
+    created_at      TEXT    NOT NULL,
+    PRIMARY KEY (user_id, series_id, version)
+  );
+`;
+
+// Idempotent: users that already have a counter row are left untouched
+const BACKFILL_COUNTERS = `
+  INSERT OR IGNORE INTO user_series_counters (user_id, active_series)
+  SELECT user_id, COUNT(*) FROM habit_series
+  WHERE deleted_at IS NULL
+  GROUP BY user_id
+`;
+
+const SERIES_COLUMNS = 'id, title, description, actions, total_score, created_at, last_activity_at';
+
+/**
+ * Row of habit_series → mapper record.
+ */
+function rowToRecord(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    actions: JSON.parse(row.actions),
+    totalScore: row.total_score,
+    createdAt: row.created_at,
+    lastActivityAt: row.last_activity_at,
+  };
+}
+
+/**
+ * Row of habit_series_versions → HabitSeriesVersion.
+ */
+function rowToVersion(row) {
+  return {
+    version: row.version,
+    source: row.source,
+    ...(row.instruction !== null && { instruction: row.instruction }),
+    ...(row.restored_from !== null && { restoredFrom: row.restored_from }),
+    ...(row.prompt_versions !== null && { promptVersions: JSON.parse(row.prompt_versions) }),
+    content: JSON.parse(row.content),
+    createdAt: row.created_at,
+  };
+}
+
+export class SqliteHabitSeriesRepository extends IHabitSeriesRepository {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Database file (default: ./data/habit-series.db; ':memory:' for tests)
+   * @param {Database} [options.db] - Existing connection (shared with other repositories)
+   * @param {Function} [options.now] - Injectable clock (tests)
+   */
+  constructor({ filename = './data/habit-series.db', db, now = () => new Date() } = {}) {
+    super();
+    this.now = now;
+    this.db = db ?? new Database(filename);
+
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this.db.exec(BACKFILL_COUNTERS);
+
+    this.statements = {
+      insertSeries: this.db.prepare(`
+        INSERT INTO habit_series (user_id, ${SERIES_COLUMNS}, prompt_versions, updated_at)
+        VALUES (@userId, @id, @title, @description, @actions, @totalScore, @createdAt, @lastActivityAt,
+                @promptVersions, @updatedAt)
+      `),
+      incrementCounter: this.db.prepare(`
+        INSERT INTO user_series_counters (user_id, active_series) VALUES (?, 1)
+        ON CONFLICT (user_id) DO UPDATE SET active_series = active_series + 1
+      `),
+      decrementCounter: this.db.prepare(`
+        UPDATE user_series_counters SET active_series = MAX(active_series - 1, 0) WHERE user_id = ?
+      `),
+      getCounter: this.db.prepare('SELECT active_series FROM user_series_counters WHERE user_id = ?'),
+      findSeries: this.db.prepare(`
+        SELECT ${SERIES_COLUMNS} FROM habit_series
+        WHERE user_id = ? AND id = ? AND deleted_at IS NULL
+      `),
+      firstPage: this.db.prepare(`
+        SELECT ${SERIES_COLUMNS} FROM habit_series
+        WHERE user_id = ? AND deleted_at IS NULL
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `),
+      nextPage: this.db.prepare(`
+        SELECT ${SERIES_COLUMNS} FROM habit_series
+        WHERE user_id = ? AND deleted_at IS NULL
+          AND (created_at < ? OR (created_at = ? AND id < ?))
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `),
+      updateSeries: this.db.prepare(`
+        UPDATE habit_series
+        SET title = @title, description = @description, actions = @actions, total_score = @totalScore,
+            last_activity_at = @lastActivityAt, updated_at = @updatedAt
+        WHERE user_id = @userId AND id = @id AND deleted_at IS NULL
+      `),
+      softDelete: this.db.prepare(`
+        UPDATE habit_series SET deleted_at = ?, updated_at = ?
+        WHERE user_id = ? AND id = ? AND deleted_at IS NULL
+      `),
+      insertActivity: this.db.prepare(`
+        INSERT INTO habit_series_activity (user_id, series_id, action_id, action_name, points, at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      listActivity: this.db.prepare(`
+        SELECT action_id, action_name, points, at FROM habit_series_activity
+        WHERE user_id = ? AND series_id = ?
+        ORDER BY seq DESC
+        LIMIT ?
+      `),
+      lastVersion: this.db.prepare(`
+        SELECT COALESCE(MAX(version), 0) AS version FROM habit_series_versions
+        WHERE user_id = ? AND series_id = ?
+      `),
+      insertVersion: this.db.prepare(`
+        INSERT INTO habit_series_versions
+          (user_id, series_id, version, source, instruction, restored_from, prompt_versions, content, created_at)
+        VALUES (@userId, @seriesId, @version, @source, @instruction, @restoredFrom, @promptVersions, @content, @createdAt)
+      `),
+      listVersions: this.db.prepare(`
+        SELECT * FROM habit_series_versions WHERE user_id = ? AND series_id = ? ORDER BY version ASC
+      `),
+      getVersion: this.db.prepare(`
+        SELECT * FROM habit_series_versions WHERE user_id = ? AND series_id = ? AND version = ?
+      `),
+    };
+
+    this.createTx = this.db.transaction((row) => {
+      this.statements.insertSeries.run(row);
+      this.statements.incrementCounter.run(row.userId);
+    });
+
+    this.softDeleteTx = this.db.transaction((userId, seriesId, at) => {
+      const { changes } = this.statements.softDelete.run(at, at, userId, seriesId);
+      if (changes === 0) return false;
+      this.statements.decrementCounter.run(userId);
+      return true;
+    });
+
+    this.updateTx = this.db.transaction((userId, seriesId, change) => {
+      const row = this.statements.findSeries.get(userId, seriesId);
+      if (!row) return null;
+
+      const { version: latestVersion } = this.statements.lastVersion.get(userId, seriesId);
+      const result = change(toEntity(rowToRecord(row)), { latestVersion });
+
+      const at = this.now().toISOString();
+      const record = toRecord(result.series);
+      this.statements.updateSeries.run({ userId, ...record, actions: JSON.stringify(record.actions), updatedAt: at });
+
+      if (result.activity) {
+        const { actionId, actionName, points, at: completedAt } = result.activity;
+        this.statements.insertActivity.run(userId, seriesId, actionId, actionName, points, completedAt);
+      }
+
+      const versions = (result.versions ?? []).map((version, index) => {
+        const number = latestVersion + index + 1;
+        this.statements.insertVersion.run({
+          userId,
+          seriesId,
+          version: number,
+          source: version.source,
+          instruction: version.instruction ?? null,
+          restoredFrom: version.restoredFrom ?? null,
+          promptVersions: version.promptVersions ? JSON.stringify(version.promptVersions) : null,
+          content: JSON.stringify(version.content),
+          createdAt: at,
+        });
+        return { ...structuredClone(version), version: number, createdAt: at };
+      });
+
+      return { series: result.series, versions };
+    });
+  }
+
+  async createFromAI(userId, series, { promptVersions = null } = {}) {
+    const record = toRecord(series);
+
+    try {
+      this.createTx({
+        userId,
+        ...record,
+        actions: JSON.stringify(record.actions),
+        promptVersions: promptVersions ? JSON.stringify(promptVersions) : null,
+        updatedAt: this.now().toISOString(),
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new Error(`SERIES_ALREADY_EXISTS: Series "${series.id}" already exists`, { cause: error });
+      }
+      throw error;
+    }
+
+    return toPersisted(series);
+  }
+
+  async findById(userId, seriesId) {
+    const row = this.statements.findSeries.get(userId, String(seriesId));
+    return row ? toEntity(rowToRecord(row)) : null;
+  }
+
+  async listByUser(userId, { limit, cursor } = {}) {
+    const size = clampPageSize(limit);
+
+    // One extra row tells whether another page exists
+    let rows;
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      rows = this.statements.nextPage.all(userId, after.createdAt, after.createdAt, after.id, size + 1);
+    } else {
+      rows = this.statements.firstPage.all(userId, size + 1);
+    }
+
+    const page = rows.slice(0, size).map(rowToRecord);
+
+    return {
+      items: page.map(toEntity),
+      nextCursor: rows.length > size ? encodeCursor(page[page.length - 1]) : null,
+    };
+  }
+
+  async update(userId, seriesId, change) {
+    return this.updateTx.immediate(userId, String(seriesId), change);
+  }
+
+  async softDelete(userId, seriesId) {
+    return this.softDeleteTx(userId, String(seriesId), this.now().toISOString());
+  }
+
+  async countActiveSeries(userId) {
+    return this.statements.getCounter.get(userId)?.active_series ?? 0;
+  }
+
+  async listActivity(userId, seriesId, { limit = 20 } = {}) {
+    return this.statements.listActivity.all(userId, String(seriesId), limit).map(row => ({
+      actionId: row.action_id,
+      actionName: row.action_name,
+      points: row.points,
+      at: row.at,
+    }));
+  }
+
+  async listVersions(userId, seriesId) {
+    return this.statements.listVersions.all(userId, String(seriesId)).map(rowToVersion);
+  }
+
+  async getVersion(userId, seriesId, version) {
+    const row = this.statements.getVersion.get(userId, String(seriesId), version);
+    return row ? rowToVersion(row) : null;
+  }
+
+  /**
+   * Close the connection (tests, graceful shutdown).
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteHabitSeriesRepository;
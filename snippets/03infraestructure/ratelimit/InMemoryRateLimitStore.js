@@ -0,0 +1,89 @@
+/**
+ * In-Memory Rate Limit Store (Infrastructure Layer)
+ *
+ * Default implementation of the rate limit store port, used by
+ * RateLimitService. Suitable for tests and single-instance deployments;
+ * multi-instance deployments need a shared store (Redis...) implementing
+ * the same interface with atomic operations.
+ *
+ * Interface:
+ * - consumeToken(key, { capacity, refillPerMs })
+ *     → Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>
+ * - refundToken(key, { capacity }) → Promise<void>   (gives back one consumed token)
+ * - acquireSlot(key, limit, { leaseMs })
+ *     → Promise<{ acquired: true, leaseId } | { acquired: false }>
+ * - releaseSlot(key, leaseId) → Promise<void>
+ *
+ * Token buckets start full and refill continuously up to their capacity.
+ * Slots are leases: one that is never released (crashed request) expires
+ * after `leaseMs` instead of blocking its key forever.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+export class InMemoryRateLimitStore {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Injectable clock (tests)
+   */
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+
+    /** @type {Map<string, { tokens: number, updatedAt: number }>} */
+    this.buckets = new Map();
+    /** @type {Map<string, Map<string, number>>} key → leaseId → expiresAt */
+    this.slots = new Map();
+  }
+
+  async consumeToken(key, { capacity, refillPerMs }) {
+    const now = this.now();
+    const bucket = this.buckets.get(key) ?? { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  async refundToken(key, { capacity }) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return;
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + 1);
+  }
+
+  async acquireSlot(key, limit, { leaseMs }) {
+    const leases = this.#live(key);
+    if (leases.size >= limit) return { acquired: false };
+
+    const leaseId = randomUUID();
+    leases.set(leaseId, this.now() + leaseMs);
+    this.slots.set(key, leases);
+    return { acquired: true, leaseId };
+  }
+
+  async releaseSlot(key, leaseId) {
+    const leases = this.slots.get(key);
+    if (!leases) return;
+
+    leases.delete(leaseId);
+    if (leases.size === 0) this.slots.delete(key);
+  }
+
+  #live(key) {
+    const leases = this.slots.get(key) ?? new Map();
+    const now = this.now();
+    for (const [leaseId, expiresAt] of leases) {
+      if (expiresAt <= now) leases.delete(leaseId);
+    }
+    return leases;
+  }
+}
+
+export default InMemoryRateLimitStore;
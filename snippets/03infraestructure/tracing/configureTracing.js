@@ -0,0 +1,73 @@
+/**
+ * Tracing Setup (Infrastructure Layer)
+ *
+ * Registers the OpenTelemetry tracer provider used by the whole process.
+ * Called once at startup (or once per test file).
+ *
+ * Exporters:
+ * - InMemorySpanExporter (default): spans are kept in memory and can be
+ *   inspected with exporter.getFinishedSpans(). Intended for tests.
+ * - Any other SpanExporter (OTLP, console...) for real deployments.
+ *
+ * Not calling this function at all is valid: the OpenTelemetry API then
+ * falls back to no-op spans.
+ *
+ * Spans are exported synchronously (SimpleSpanProcessor) for in-memory
+ * exporters, so tests can assert right after the use case resolves, and
+ * in batches otherwise.
+ *
+ * Written against the OpenTelemetry JS SDK 2.x (@opentelemetry/sdk-trace-base
+ * and @opentelemetry/resources ^2.0, with @opentelemetry/api ^1.9): processors
+ * are passed to the provider constructor and resources are built with
+ * resourceFromAttributes. The 1.x API (new Resource(), addSpanProcessor) is
+ * not supported.
+ */
+
+import { trace, context } from '@opentelemetry/api';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+  InMemorySpanExporter,
+  SimpleSpanProcessor,
+} from '@opentelemetry/sdk-trace-base';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { defaultLogger } from '../../application/logging/Logger.js';
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.exporter] - SpanExporter (default: InMemorySpanExporter)
+ * @param {string} [options.serviceName] - Reported as service.name
+ * @returns {{ provider: BasicTracerProvider, exporter: Object, shutdown: Function }}
+ */
+export function configureTracing({
+  exporter = new InMemorySpanExporter(),
+  serviceName = 'ai-backend-orchestration',
+} = {}) {
+  const processor = exporter instanceof InMemorySpanExporter
+    ? new SimpleSpanProcessor(exporter)
+    : new BatchSpanProcessor(exporter);
+
+  const provider = new BasicTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': serviceName }),
+    spanProcessors: [processor],
+  });
+
+  // The global provider can only be set once; a previous registration
+  // (e.g. from another test file) is replaced explicitly.
+  trace.disable();
+  context.disable();
+
+  context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+  trace.setGlobalTracerProvider(provider);
+
+  defaultLogger.info('tracing.configured', { serviceName, exporter: exporter.constructor.name });
+
+  return {
+    provider,
+    exporter,
+    shutdown: () => provider.shutdown(),
+  };
+}
+
+export default configureTracing;